@@ -7,12 +7,16 @@
  *
  * 사용법:
  * node fetch-github-prs.js --token=ghp-xxx --org=organization --emails=joon@daangn.com,dnjswns0930@gmail.com --year=2025
+ * node fetch-github-prs.js --token=ghp-xxx --orgs=org-a,org-b --include-personal --emails=joon@daangn.com --year=2025
+ * node fetch-github-prs.js --provider=gitlab --api-url=https://gitlab.example.com/api/v4 --token=glpat-xxx --orgs=group --emails=joon@daangn.com --year=2025
  *
- * 필요한 scope: repo (private repo 접근 시)
+ * 필요한 scope: repo (private repo 접근 시), GitLab은 read_api
  */
 
+const http = require('http')
 const https = require('https')
 const fs = require('fs')
+const { execFileSync } = require('child_process')
 
 // CLI 인자 파싱
 function getArg(name) {
@@ -20,33 +24,133 @@ function getArg(name) {
   return arg ? arg.split('=').slice(1).join('=') : undefined
 }
 
-const TOKEN = process.env.GITHUB_TOKEN || getArg('token')
-const ORG = process.env.GITHUB_ORG || getArg('org')
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`)
+}
+
+// 코드 호스팅: github (기본, Enterprise Server 포함) | gitlab (Merge Request를 PR과 같은 형식으로 변환)
+const PROVIDER = process.env.PROVIDER || getArg('provider') || 'github'
+const IS_GITLAB = PROVIDER === 'gitlab'
+const PROVIDER_NAME = IS_GITLAB ? 'GitLab' : 'GitHub'
+// GitLab username (쉼표 구분): 공개 이메일로 찾을 수 없는 사용자용
+const GITLAB_USERNAMES = (process.env.GITLAB_USERNAMES || getArg('gitlab-username') || '').split(',').filter(Boolean)
+const TOKEN = (IS_GITLAB ? process.env.GITLAB_TOKEN : process.env.GITHUB_TOKEN) || getArg('token')
+// 여러 Organization은 --orgs=a,b (--org는 하나만 지정할 때)
+const ORGS = (process.env.GITHUB_ORGS || getArg('orgs') || process.env.GITHUB_ORG || getArg('org') || '')
+  .split(',')
+  .map((org) => org.trim())
+  .filter(Boolean)
+// 내 계정 소유의 개인 레포지토리 포함 여부
+const INCLUDE_PERSONAL = process.env.INCLUDE_PERSONAL === 'true' || hasFlag('include-personal')
 const EMAILS = (process.env.GITHUB_EMAILS || getArg('emails') || '').split(',').filter(Boolean)
 const YEAR = parseInt(process.env.YEAR || getArg('year'), 10)
 const CONCURRENCY = parseInt(process.env.CONCURRENCY || getArg('concurrency') || '3', 10)
-// GitHub Enterprise Server 지원: 기본값은 github.com
-const API_BASE = (process.env.GITHUB_API_URL || getArg('api-url') || 'https://api.github.com').replace(/\/$/, '')
+// GitHub Enterprise Server, self-hosted GitLab 지원: 기본값은 github.com, gitlab.com
+const DEFAULT_API_URL = IS_GITLAB ? 'https://gitlab.com/api/v4' : 'https://api.github.com'
+const API_BASE = (
+  (IS_GITLAB ? process.env.GITLAB_API_URL : process.env.GITHUB_API_URL) ||
+  getArg('api-url') ||
+  DEFAULT_API_URL
+).replace(/\/$/, '')
+// API 방식: rest (기본) | graphql (커밋 -> PR, PR 상세 조회를 묶어서 요청)
+const API_MODE = process.env.GITHUB_API_MODE || getArg('api') || 'rest'
+// 다른 사람 PR에 남긴 리뷰 수집 여부
+const REVIEWS = process.env.REVIEWS === 'true' || hasFlag('reviews')
+// PR 크기, 리뷰/병합 소요 시간 수집 여부
+const METRICS = process.env.METRICS === 'true' || hasFlag('metrics')
+// 이슈 작성/닫음/코멘트와 Discussion 코멘트 수집 여부
+const ISSUES = process.env.ISSUES === 'true' || hasFlag('issues')
+// 변경 파일로 레포/디렉터리/언어별 작업 영역 집계 여부
+const AREAS = process.env.AREAS === 'true' || hasFlag('areas')
+// 작업 영역 집계에 포함/제외할 경로 (쉼표 구분 glob)
+const INCLUDE_PATHS = (process.env.INCLUDE_PATHS || getArg('include-paths') || '').split(',').filter(Boolean)
+const EXCLUDE_PATHS = (process.env.EXCLUDE_PATHS || getArg('exclude-paths') || '').split(',').filter(Boolean)
+// PR 카테고리 매핑 파일 (JSON)
+const CATEGORY_MAP = process.env.CATEGORY_MAP || getArg('category-map')
+// PR을 어느 날짜 기준으로 집계할지: created (생성일, 기본) | merged (병합일) | activity (해당 연도의 마지막 생성/병합/닫힘)
+const ATTRIBUTE_BY = process.env.ATTRIBUTE_BY || getArg('attribute-by') || 'created'
+// 주차별 목록 외에 추가할 보기: week (기본) | category
+const GROUP_BY = process.env.GROUP_BY || getArg('group-by') || 'week'
+// API 대신 로컬 git clone에서 수집 (레포 디렉터리 또는 레포들이 있는 상위 디렉터리, 쉼표 구분)
+const LOCAL_REPOS = (process.env.LOCAL_REPOS || getArg('local-repos') || '').split(',').filter(Boolean)
+const IS_LOCAL = LOCAL_REPOS.length > 0
+const USES_GITHUB_API = !IS_GITLAB && !IS_LOCAL
 
 // 입력 검증
-if (!TOKEN || !ORG || EMAILS.length === 0 || !YEAR) {
+if (
+  (!TOKEN && !IS_LOCAL) ||
+  (ORGS.length === 0 && (!INCLUDE_PERSONAL || IS_GITLAB) && !IS_LOCAL) ||
+  !['github', 'gitlab'].includes(PROVIDER) ||
+  EMAILS.length === 0 ||
+  !YEAR ||
+  !['rest', 'graphql'].includes(API_MODE) ||
+  !['week', 'category'].includes(GROUP_BY) ||
+  !['created', 'merged', 'activity'].includes(ATTRIBUTE_BY)
+) {
   console.error(`
-Usage: node fetch-github-prs.js --token=<github-token> --org=<org-name> --emails=<email1,email2> --year=<year>
+Usage: node fetch-github-prs.js --token=<github-token> --orgs=<org1,org2> --emails=<email1,email2> --year=<year>
 
 Options:
   --token       GitHub Personal Access Token (env: GITHUB_TOKEN)
-  --org         GitHub Organization name (env: GITHUB_ORG)
+                With --provider=gitlab: GitLab access token with read_api scope (env: GITLAB_TOKEN)
+  --orgs        Comma-separated GitHub Organization names (env: GITHUB_ORGS)
+  --org         Single GitHub Organization name, same as --orgs (env: GITHUB_ORG)
+  --include-personal  Include repositories owned by my own accounts (env: INCLUDE_PERSONAL=true)
   --emails      Comma-separated email addresses (env: GITHUB_EMAILS)
   --year        Year to search (env: YEAR)
   --concurrency Concurrent requests (default: 3, env: CONCURRENCY)
   --api-url     GitHub API URL (default: https://api.github.com, env: GITHUB_API_URL)
                 For Enterprise Server: https://<hostname>/api/v3
+                With --provider=gitlab: https://<hostname>/api/v4 (default: https://gitlab.com/api/v4, env: GITLAB_API_URL)
+  --provider    github or gitlab (default: github, env: PROVIDER)
+                gitlab reads merge requests from the groups in --orgs
+  --gitlab-username  Comma-separated GitLab usernames; needed when --emails are not public on GitLab
+                (env: GITLAB_USERNAMES)
+  --local-repos Read git log from local clones instead of the API; no token needed (env: LOCAL_REPOS)
+                Comma-separated repo directories or parent directories containing repos
+  --api         API backend: rest or graphql (default: rest, env: GITHUB_API_MODE)
+                graphql batches commit -> PR and PR detail lookups into fewer requests
+  --reviews     Include PRs I reviewed or commented on (env: REVIEWS=true)
+                Always on with --provider=gitlab (merge requests I reviewed or merged)
+  --metrics     Include PR size, time-to-first-review, time-to-merge and review rounds (env: METRICS=true)
+  --issues      Include issues I opened, closed or commented on and Discussions I commented on (env: ISSUES=true)
+  --areas       Add an "Areas" section with changed lines by repo, directory and language (env: AREAS=true)
+  --include-paths  Comma-separated path globs to count in areas (env: INCLUDE_PATHS)
+  --exclude-paths  Comma-separated path globs to drop from areas, e.g. *.lock,dist/** (env: EXCLUDE_PATHS)
+  --category-map   JSON file mapping title prefixes and labels to categories (env: CATEGORY_MAP)
+  --attribute-by  Date that puts a PR in the year and week: created, merged or activity
+                (default: created, env: ATTRIBUTE_BY)
+  --group-by    week or category; category adds a category-first view of the year (default: week, env: GROUP_BY)
 
 Example:
   node fetch-github-prs.js --token=ghp_xxx --org=organization --emails=joon@daangn.com,dnjswns0930@gmail.com --year=2025
 
+  # 여러 Organization과 개인 레포를 한 번에
+  node fetch-github-prs.js --token=ghp_xxx --orgs=organization,other-org --include-personal --emails=joon@daangn.com --year=2025
+
+  # 내가 리뷰한 PR 포함
+  node fetch-github-prs.js --token=ghp_xxx --org=organization --emails=joon@daangn.com --year=2025 --reviews
+
+  # 작업 영역 집계 (lockfile, 빌드 결과물 제외)
+  node fetch-github-prs.js --token=ghp_xxx --org=organization --emails=joon@daangn.com --year=2025 --areas --exclude-paths='*.lock,package-lock.json,dist/**'
+
+  # 카테고리별 보기 추가 (사용자 매핑 파일 적용)
+  node fetch-github-prs.js --token=ghp_xxx --org=organization --emails=joon@daangn.com --year=2025 --group-by=category --category-map=./categories.json
+
+  # 병합일 기준으로 집계 (작년 말에 열어 올해 병합한 PR 포함)
+  node fetch-github-prs.js --token=ghp_xxx --org=organization --emails=joon@daangn.com --year=2025 --attribute-by=merged
+
+  # GraphQL로 요청 수 줄이기
+  node fetch-github-prs.js --token=ghp_xxx --org=organization --emails=joon@daangn.com --year=2025 --api=graphql
+
   # GitHub Enterprise Server
   node fetch-github-prs.js --api-url=https://github.example.com/api/v3 --token=xxx --org=my-org --emails=user@example.com --year=2025
+
+  # 토큰 없이 로컬 clone에서 (~/work 아래의 레포 전체)
+  node fetch-github-prs.js --local-repos=$HOME/work --emails=joon@daangn.com --year=2025
+
+  # Self-hosted GitLab (그룹의 Merge Request)
+  node fetch-github-prs.js --provider=gitlab --api-url=https://gitlab.example.com/api/v4 --token=glpat-xxx --orgs=my-group --emails=user@example.com --year=2025
 `)
   process.exit(1)
 }
@@ -95,11 +199,149 @@ async function runWithConcurrency(items, concurrency, fn) {
 const MAX_RETRIES = 3
 const RETRY_DELAY = 2000
 
+// Rate limit 처리
+// 버킷(core, search, graphql)별로 남은 요청 수를 추적하고, 한도에 걸리면 해당 버킷의 모든 요청을 멈춘 뒤 재개
+const SECONDARY_RATE_LIMIT_WAIT = 60000
+const MAX_RATE_LIMIT_WAITS = 5
+const rateLimits = {}
+
+function getRateLimitBucket(name) {
+  if (!rateLimits[name]) {
+    rateLimits[name] = { remaining: null, limit: null, reset: null, pause: null, warned: false }
+  }
+  return rateLimits[name]
+}
+
+// 요청 경로로 버킷 추정 (응답의 x-ratelimit-resource로 보정)
+function getBucketName(path) {
+  if (path === GRAPHQL_URL) return 'graphql'
+  return path.includes('/search/') ? 'search' : 'core'
+}
+
+// 응답 헤더로 버킷 상태 갱신
+function updateRateLimit(headers, fallbackBucket) {
+  if (headers['x-ratelimit-remaining'] === undefined) return
+
+  const name = headers['x-ratelimit-resource'] || fallbackBucket
+  const bucket = getRateLimitBucket(name)
+  const reset = parseInt(headers['x-ratelimit-reset'], 10)
+
+  if (reset !== bucket.reset) bucket.warned = false
+  bucket.remaining = parseInt(headers['x-ratelimit-remaining'], 10)
+  bucket.limit = parseInt(headers['x-ratelimit-limit'], 10) || bucket.limit
+  bucket.reset = reset
+
+  // 한도의 10% (최대 100) 미만이면 리셋 주기마다 한 번 경고
+  if (!bucket.warned && bucket.limit && bucket.remaining < Math.min(100, bucket.limit / 10)) {
+    bucket.warned = true
+    console.log(`\n⚠️  Rate limit remaining (${name}): ${bucket.remaining}/${bucket.limit}`)
+  }
+}
+
+// 버킷을 멈추고 카운트다운 표시 (동시에 여러 요청이 걸려도 한 번만 대기)
+function pauseBucket(name, ms, reason) {
+  const bucket = getRateLimitBucket(name)
+
+  if (!bucket.pause) {
+    bucket.pause = (async () => {
+      const until = Date.now() + ms
+      while (Date.now() < until) {
+        const seconds = Math.ceil((until - Date.now()) / 1000)
+        process.stdout.write(`\r⏳ ${reason} (${name}): resuming in ${seconds}s   `)
+        await new Promise((r) => setTimeout(r, Math.min(1000, until - Date.now())))
+      }
+      process.stdout.write(`\r⏳ ${reason} (${name}): resumed${' '.repeat(12)}\n`)
+      bucket.remaining = null
+      bucket.pause = null
+    })()
+  }
+
+  return bucket.pause
+}
+
+// 요청 전 대기: 멈춘 버킷이면 재개까지, 남은 요청이 0이면 리셋 시각까지
+async function waitForBucket(name) {
+  const bucket = getRateLimitBucket(name)
+  if (bucket.pause) {
+    await bucket.pause
+  } else if (bucket.remaining === 0 && bucket.reset * 1000 > Date.now()) {
+    await pauseBucket(name, bucket.reset * 1000 - Date.now() + 1000, 'Rate limit exhausted')
+  }
+}
+
+// Rate limit 응답이면 대기 시간(ms), 아니면 null
+function getRateLimitWait(error) {
+  const headers = error.headers || {}
+  const limited =
+    error.rateLimited ||
+    error.status === 429 ||
+    (error.status === 403 &&
+      (headers['retry-after'] !== undefined ||
+        headers['x-ratelimit-remaining'] === '0' ||
+        /rate limit/i.test(error.message)))
+
+  if (!limited) return null
+  if (headers['retry-after'] !== undefined) return parseInt(headers['retry-after'], 10) * 1000
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now()) + 1000
+  }
+  // Secondary rate limit인데 대기 시간 헤더가 없으면 1분 대기
+  return SECONDARY_RATE_LIMIT_WAIT
+}
+
+// 404, 422처럼 다시 보내도 실패할 4xx와 200 응답의 GraphQL 에러는 재시도하지 않음 (네트워크 오류, 5xx만 재시도)
+function isRetryable(error) {
+  return !error.status || error.status >= 500
+}
+
+// Rate limit 대기 + 재시도 공통 처리
+async function requestWithRetry(bucketName, label, skipRetry, send) {
+  const maxAttempts = skipRetry ? 1 : MAX_RETRIES
+  let attempt = 1
+  let rateLimitWaits = 0
+
+  for (;;) {
+    await waitForBucket(bucketName)
+
+    try {
+      return await send()
+    } catch (e) {
+      const waitMs = getRateLimitWait(e)
+      if (waitMs !== null && rateLimitWaits < MAX_RATE_LIMIT_WAITS) {
+        rateLimitWaits++
+        const reason = e.headers?.['x-ratelimit-remaining'] === '0' ? 'Rate limit exhausted' : 'Secondary rate limit'
+        await pauseBucket(e.headers?.['x-ratelimit-resource'] || bucketName, waitMs, reason)
+        continue
+      }
+
+      if (skipRetry || !isRetryable(e)) {
+        throw e
+      }
+
+      if (attempt < maxAttempts) {
+        console.log(`\n⚠️  ${label} failed (attempt ${attempt}/${maxAttempts}): ${e.message}`)
+        console.log(`   Retrying in ${RETRY_DELAY / 1000}s...`)
+        await new Promise((r) => setTimeout(r, RETRY_DELAY))
+        attempt++
+      } else {
+        console.log(`\n❌ ${label} failed after ${maxAttempts} attempts: ${e.message}`)
+        throw e
+      }
+    }
+  }
+}
+
+// http:// API URL (로컬 mock 서버, TLS 없는 self-hosted 서버)은 http 모듈로 요청
+function getClient(url) {
+  return url.protocol === 'http:' ? http : https
+}
+
 function githubApiOnce(path, options = {}) {
   return new Promise((resolve, reject) => {
-    const url = path.startsWith('https://') ? new URL(path) : new URL(`${API_BASE}${path}`)
+    const url = /^https?:\/\//.test(path) ? new URL(path) : new URL(`${API_BASE}${path}`)
+    requestStats.rest++
 
-    const req = https.get(
+    const req = getClient(url).get(
       url.toString(),
       {
         headers: {
@@ -115,16 +357,15 @@ function githubApiOnce(path, options = {}) {
         res.on('data', (chunk) => (data += chunk))
         res.on('end', () => {
           try {
-            // Rate limit 체크
-            const remaining = res.headers['x-ratelimit-remaining']
-            if (remaining && parseInt(remaining, 10) < 100) {
-              console.log(`\n⚠️  Rate limit remaining: ${remaining}`)
-            }
+            updateRateLimit(res.headers, getBucketName(path))
 
             const json = JSON.parse(data)
 
             if (res.statusCode >= 400) {
-              reject(new Error(`GitHub API Error (${res.statusCode}): ${json.message || data}`))
+              const error = new Error(`${PROVIDER_NAME} API Error (${res.statusCode}): ${json.message || data}`)
+              error.status = res.statusCode
+              error.headers = res.headers
+              reject(error)
             } else {
               // Link 헤더에서 다음 페이지 URL 추출
               const linkHeader = res.headers.link
@@ -152,33 +393,8 @@ function githubApiOnce(path, options = {}) {
 }
 
 async function githubApi(path, options = {}, context = '', skipRetry = false) {
-  let lastError
-
-  const maxAttempts = skipRetry ? 1 : MAX_RETRIES
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      return await githubApiOnce(path, options)
-    } catch (e) {
-      lastError = e
-
-      if (skipRetry) {
-        throw e
-      }
-
-      const contextStr = context ? ` [${context}]` : ''
-
-      if (attempt < maxAttempts) {
-        console.log(`\n⚠️  ${path}${contextStr} failed (attempt ${attempt}/${maxAttempts}): ${e.message}`)
-        console.log(`   Retrying in ${RETRY_DELAY / 1000}s...`)
-        await new Promise((r) => setTimeout(r, RETRY_DELAY))
-      } else {
-        console.log(`\n❌ ${path}${contextStr} failed after ${maxAttempts} attempts: ${e.message}`)
-      }
-    }
-  }
-
-  throw lastError
+  const contextStr = context ? ` [${context}]` : ''
+  return requestWithRetry(getBucketName(path), `${path}${contextStr}`, skipRetry, () => githubApiOnce(path, options))
 }
 
 // 페이지네이션 처리하여 모든 결과 가져오기
@@ -200,6 +416,293 @@ async function githubApiAll(path, context = '', skipRetry = false, extraHeaders
   return allData
 }
 
+// GraphQL API (--api=graphql)
+// github.com: https://api.github.com/graphql, Enterprise Server: https://<hostname>/api/graphql
+const GRAPHQL_URL = `${API_BASE.replace(/\/v3$/, '')}/graphql`
+// 한 요청에 alias로 묶을 노드 수
+const GRAPHQL_BATCH_SIZE = 50
+
+// 요청 수 집계 (GraphQL 사용 시 절약한 요청 수 보고용)
+const requestStats = { rest: 0, graphql: 0, replaced: 0 }
+
+function githubGraphqlOnce(query, variables = {}) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify({ query, variables })
+    requestStats.graphql++
+
+    const req = getClient(new URL(GRAPHQL_URL)).request(
+      GRAPHQL_URL,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${TOKEN}`,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(data),
+          'User-Agent': 'fetch-github-prs',
+        },
+        timeout: 30000,
+      },
+      (res) => {
+        let body = ''
+        res.on('data', (chunk) => (body += chunk))
+        res.on('end', () => {
+          try {
+            updateRateLimit(res.headers, 'graphql')
+
+            const json = JSON.parse(body)
+
+            if (res.statusCode >= 400 || (json.errors && !json.data)) {
+              const message = json.errors ? json.errors.map((e) => e.message).join(', ') : json.message || body
+              const error = new Error(`GitHub GraphQL Error (${res.statusCode}): ${message}`)
+              // 200 응답의 GraphQL 에러(쿼리 오류 등)도 status를 남겨 재시도하지 않음
+              error.status = res.statusCode
+              error.headers = res.headers
+              error.rateLimited = json.errors?.some((e) => e.type === 'RATE_LIMITED')
+              reject(error)
+            } else {
+              // 일부 노드만 실패한 경우 (삭제된 레포 등) 나머지 결과는 사용
+              if (json.errors) {
+                console.log(`\n⚠️  GraphQL partial errors: ${json.errors.length} nodes not resolved`)
+              }
+              resolve(json.data)
+            }
+          } catch (e) {
+            reject(new Error(`JSON parse error: ${e.message}`))
+          }
+        })
+      }
+    )
+
+    req.on('error', (e) => reject(new Error(`Network error: ${e.message}`)))
+    req.on('timeout', () => {
+      req.destroy()
+      reject(new Error('Request timeout (30s)'))
+    })
+
+    req.write(data)
+    req.end()
+  })
+}
+
+async function githubGraphql(query, variables = {}, context = '') {
+  const contextStr = context ? ` [${context}]` : ''
+  return requestWithRetry('graphql', `GraphQL${contextStr}`, false, () => githubGraphqlOnce(query, variables))
+}
+
+// REST PR 응답과 같은 형태로 변환하기 위한 필드
+const PR_FRAGMENT = `
+fragment PRFields on PullRequest {
+  databaseId
+  number
+  title
+  body
+  state
+  url
+  createdAt
+  mergedAt
+  closedAt
+  additions
+  deletions
+  changedFiles
+  commits { totalCount }
+  author { login }
+  baseRepository { name nameWithOwner owner { login } }
+  labels(first: 20) { nodes { name } }
+  reviews(first: 100) { nodes { state submittedAt author { login } } }
+}`
+
+// GraphQL PR 노드 -> REST PR 형태
+function toRestPR(node) {
+  const repo = node.baseRepository
+  return {
+    id: node.databaseId,
+    number: node.number,
+    title: node.title,
+    body: node.body,
+    state: node.state === 'OPEN' ? 'open' : 'closed',
+    html_url: node.url,
+    url: `${API_BASE}/repos/${repo.nameWithOwner}/pulls/${node.number}`,
+    created_at: node.createdAt,
+    merged_at: node.mergedAt,
+    closed_at: node.closedAt,
+    user: node.author ? { login: node.author.login } : null,
+    additions: node.additions,
+    deletions: node.deletions,
+    changed_files: node.changedFiles,
+    commits: node.commits.totalCount,
+    labels: node.labels.nodes,
+    base: { repo: { name: repo.name, full_name: repo.nameWithOwner, owner: { login: repo.owner.login } } },
+    // --metrics에서 /reviews 조회 대신 사용
+    reviews: node.reviews.nodes.map((r) => ({
+      state: r.state,
+      submitted_at: r.submittedAt,
+      user: r.author ? { login: r.author.login } : null,
+    })),
+  }
+}
+
+// 레포지토리 단위 노드를 alias로 묶어 조회
+// entries: [{ owner, name, arg }], selection: arg 변수 이름을 받아 repository 하위 필드를 반환
+// convert: alias 결과를 반환할 값으로 변환, fallback: 배치가 실패하면 항목마다 REST로 같은 값을 조회
+async function graphqlRepositoryBatch(entries, argType, selection, { convert, fallback }, context) {
+  const batches = []
+  for (let i = 0; i < entries.length; i += GRAPHQL_BATCH_SIZE) {
+    batches.push(entries.slice(i, i + GRAPHQL_BATCH_SIZE))
+  }
+
+  const results = new Array(entries.length).fill(null)
+  let processed = 0
+
+  await runWithConcurrency(batches, CONCURRENCY, async (batch) => {
+    const offset = entries.indexOf(batch[0])
+    const params = []
+    const fields = []
+    const variables = {}
+
+    batch.forEach((entry, i) => {
+      params.push(`$o${i}: String!, $n${i}: String!, $a${i}: ${argType}`)
+      fields.push(`  r${i}: repository(owner: $o${i}, name: $n${i}) { ${selection(`$a${i}`)} }`)
+      Object.assign(variables, { [`o${i}`]: entry.owner, [`n${i}`]: entry.name, [`a${i}`]: entry.arg })
+    })
+
+    const query = `query(${params.join(', ')}) {\n${fields.join('\n')}\n}\n${PR_FRAGMENT}`
+    try {
+      const data = await githubGraphql(query, variables, context)
+      batch.forEach((_, i) => (results[offset + i] = convert(data[`r${i}`] || null)))
+      requestStats.replaced += batch.length
+    } catch (e) {
+      console.log(`\n⚠️  GraphQL batch failed [${context}]: ${e.message}`)
+      console.log(`   Falling back to REST for ${batch.length} items...`)
+      for (const [i, entry] of batch.entries()) {
+        results[offset + i] = await fallback(entry)
+      }
+    }
+
+    processed += batch.length
+    process.stdout.write(`\rGraphQL ${context}: ${processed}/${entries.length}`)
+  })
+  if (entries.length > 0) console.log('')
+
+  return results
+}
+
+// 커밋별 PR 목록 (REST /commits/{sha}/pulls 대체), 커밋 순서대로 반환 (조회 실패 시 null)
+async function getPRsForCommitsGraphql(commits) {
+  const entries = commits.map((commit) => {
+    const [owner, name] = getCommitRepoFullName(commit)?.split('/') || []
+    return { owner, name, arg: commit.sha }
+  })
+  const valid = entries.filter((entry) => entry.name)
+
+  const results = await graphqlRepositoryBatch(
+    valid,
+    'GitObjectID!',
+    (arg) => `object(oid: ${arg}) { ... on Commit { associatedPullRequests(first: 10) { nodes { ...PRFields } } } }`,
+    {
+      convert: (result) => (result ? (result.object?.associatedPullRequests?.nodes || []).map(toRestPR) : null),
+      fallback: (entry) => getPRsForCommit(`${entry.owner}/${entry.name}`, entry.arg),
+    },
+    'commits'
+  )
+
+  return entries.map((entry) => (entry.name ? results[valid.indexOf(entry)] : null))
+}
+
+// 검색 결과 PR 상세 (REST /pulls/{n} 대체), 입력 순서대로 반환 (실패 시 null)
+async function getPRDetailsGraphql(items) {
+  const entries = items.map((item) => {
+    const [owner, name] = item.repository_url.split('/').slice(-2)
+    return { owner, name, arg: item.number, url: item.pull_request.url }
+  })
+
+  return graphqlRepositoryBatch(
+    entries,
+    'Int!',
+    (arg) => `pullRequest(number: ${arg}) { ...PRFields }`,
+    {
+      convert: (result) => (result?.pullRequest ? toRestPR(result.pullRequest) : null),
+      fallback: async (entry) => {
+        try {
+          const { data } = await githubApi(entry.url, {}, `PR #${entry.arg}`)
+          return data
+        } catch (e) {
+          return null
+        }
+      },
+    },
+    'PR details'
+  )
+}
+
+// Search API는 쿼리당 최대 1000개까지만 반환
+const SEARCH_RESULT_LIMIT = 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// YYYY-MM-DD (UTC)
+function formatDate(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+// 기간 분할: 여러 달이면 월 단위, 한 달 안이면 주 단위, 일주일 이하면 일 단위
+function splitDateRange(start, end) {
+  const days = Math.round((end - start) / DAY_MS) + 1
+  const sameMonth = start.getUTCFullYear() === end.getUTCFullYear() && start.getUTCMonth() === end.getUTCMonth()
+  const ranges = []
+  let cursor = start
+
+  while (cursor <= end) {
+    let next
+    if (!sameMonth) {
+      next = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1))
+    } else if (days > 7) {
+      next = new Date(cursor.getTime() + 7 * DAY_MS)
+    } else {
+      next = new Date(cursor.getTime() + DAY_MS)
+    }
+    ranges.push([cursor, new Date(Math.min(next.getTime() - DAY_MS, end.getTime()))])
+    cursor = next
+  }
+
+  return ranges
+}
+
+// 기간 조건이 들어간 검색 (total_count가 1000개를 넘으면 기간을 나눠 재검색 후 병합)
+// buildQuery: `YYYY-MM-DD..YYYY-MM-DD` 범위를 받아 검색어를 반환
+async function searchByDateRange(endpoint, buildQuery, start, end, context, headers = {}) {
+  const range = `${formatDate(start)}..${formatDate(end)}`
+  const path = `${endpoint}?q=${encodeURIComponent(buildQuery(range))}&per_page=100`
+  const { data, nextUrl } = await githubApi(path, { headers }, context)
+
+  if (data.total_count > SEARCH_RESULT_LIMIT) {
+    if (formatDate(start) !== formatDate(end)) {
+      const ranges = splitDateRange(start, end)
+      console.log(`\n🔀 ${context}: ${data.total_count} results in ${range}, splitting into ${ranges.length} ranges`)
+
+      const items = []
+      for (const [rangeStart, rangeEnd] of ranges) {
+        items.push(...(await searchByDateRange(endpoint, buildQuery, rangeStart, rangeEnd, context, headers)))
+      }
+      return items
+    }
+
+    // 하루 안에서도 넘치면 더 나눌 수 없음
+    console.log(
+      `\n⚠️  ${context}: ${data.total_count} results on ${formatDate(start)}, only ${SEARCH_RESULT_LIMIT} can be fetched`
+    )
+  }
+
+  const items = [...data.items]
+  if (nextUrl) {
+    items.push(...(await githubApiAll(nextUrl, context, false, headers)))
+  }
+  return items
+}
+
+// 해당 연도 전체 기간
+function getYearRange(year) {
+  return [new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 11, 31))]
+}
+
 // Organization 또는 User의 모든 레포지토리 조회
 async function getRepos(owner) {
   console.log(`\nFetching repositories for ${owner}...`)
@@ -229,15 +732,39 @@ async function getRepos(owner) {
   }
 }
 
-// Search API로 이메일 기반 커밋 검색 (전체 org에서 한번에)
-async function searchCommitsByEmail(org, email, year) {
-  const query = `author-email:${email} org:${org} committer-date:${year}-01-01..${year}-12-31`
+// 검색 범위: org:<org> 목록과 --include-personal이면 내 계정들의 user:<username>
+function getSearchScopes(usernames) {
+  const personal = INCLUDE_PERSONAL ? [...usernames].map((username) => `user:${username}`) : []
+  return [...ORGS.map((org) => `org:${org}`), ...personal]
+}
+
+// 공개 이메일로 GitHub username 검색 (--include-personal에서 커밋 작성자를 찾지 못한 경우 보완)
+async function searchUsernamesByEmail(emails) {
+  const usernames = new Set()
+
+  for (const email of emails) {
+    try {
+      const users = await githubApiAll(`/search/users?q=${encodeURIComponent(`${email} in:email`)}`, `users/${email}`)
+      users.forEach((user) => usernames.add(user.login))
+    } catch (e) {
+      console.log(`\n⚠️  User search failed for ${email}: ${e.message}`)
+    }
+  }
+
+  return usernames
+}
+
+// Search API로 이메일 기반 커밋 검색 (scope 전체에서 한번에)
+async function searchCommitsByEmail(scope, email, year) {
+  const [start, end] = getYearRange(year)
 
   try {
-    const commits = await githubApiAll(
-      `/search/commits?q=${encodeURIComponent(query)}&per_page=100`,
-      `commits/${email}`,
-      false,
+    const commits = await searchByDateRange(
+      '/search/commits',
+      (range) => [`author-email:${email}`, scope, `committer-date:${range}`].filter(Boolean).join(' '),
+      start,
+      end,
+      `commits/${email}${scope ? ` ${scope}` : ''}`,
       { Accept: 'application/vnd.github.cloak-preview+json' }
     )
     return commits
@@ -248,115 +775,1382 @@ async function searchCommitsByEmail(org, email, year) {
   }
 }
 
-// 커밋이 속한 PR 조회
+// 검색된 커밋의 레포지토리 (owner/repo)
+function getCommitRepoFullName(commit) {
+  return commit.repository?.full_name || commit.url?.match(/repos\/([^/]+\/[^/]+)/)?.[1]
+}
+
+// API URL(.../repos/{owner}/{repo})의 owner/repo
+function getRepoFullNameFromUrl(url) {
+  return url.split('/').slice(-2).join('/')
+}
+
+// PR 상세 조회 실패시 검색 결과의 기본 정보 사용
+function searchItemToPR(item) {
+  const fullName = getRepoFullNameFromUrl(item.repository_url)
+  return {
+    ...item,
+    merged_at: item.pull_request?.merged_at || null,
+    base: { repo: { name: fullName.split('/')[1], full_name: fullName } },
+  }
+}
+
+// 커밋이 속한 PR 조회 (조회 실패 시 null: PR 없는 커밋과 구분)
+// 포크나 다른 owner의 레포에서 찾은 커밋도 있으므로 커밋의 레포지토리 기준으로 조회
 async function getPRsForCommit(repo, sha) {
   try {
     const { data } = await githubApi(
-      `/repos/${ORG}/${repo}/commits/${sha}/pulls`,
+      `/repos/${repo}/commits/${sha}/pulls`,
       { headers: { Accept: 'application/vnd.github.v3+json' } },
       `${repo}/${sha.substring(0, 7)}`
     )
     return data
   } catch (e) {
-    return []
+    return null
   }
 }
 
-// 주차 계산
-function getWeekNumber(date) {
-  const d = new Date(date)
-  const startOfYear = new Date(d.getFullYear(), 0, 1)
-  const days = Math.floor((d - startOfYear) / (24 * 60 * 60 * 1000))
-  return Math.ceil((days + startOfYear.getDay() + 1) / 7)
+// PR 없이 푸시된 커밋 (Direct commits)
+function toDirectCommit(commit) {
+  return {
+    sha: commit.sha,
+    message: commit.commit.message.split('\n')[0],
+    html_url: commit.html_url,
+    repoName: getCommitRepoFullName(commit),
+    date: commit.commit.committer?.date || commit.commit.author.date,
+  }
 }
 
-// 주간 범위 문자열
-function getWeekRange(year, week) {
-  const startOfYear = new Date(year, 0, 1)
-  const daysOffset = (week - 1) * 7 - startOfYear.getDay()
-  const weekStart = new Date(year, 0, 1 + daysOffset)
-  const weekEnd = new Date(weekStart)
-  weekEnd.setDate(weekEnd.getDate() + 6)
+const ATTRIBUTION_LABELS = {
+  created: '생성일',
+  merged: '병합일',
+  activity: '마지막 활동일 (생성/병합/닫힘)',
+}
 
-  const format = (d) => `${d.getMonth() + 1}/${d.getDate()}`
-  return `${format(weekStart)} - ${format(weekEnd)}`
+const LIFECYCLE_SECTIONS = {
+  carriedOver: '작년에서 넘어온 PR',
+  openAtYearEnd: '연말까지 열려 있는 PR',
+  closedUnmerged: '병합 없이 닫힌 PR',
 }
 
-// 마크다운 생성
-function generateMarkdown(prs, org, year) {
-  // 주간별로 그룹화
-  const weeklyData = {}
+// 집계 기준 날짜 (--attribute-by), 해당 연도가 아니면 null
+// activity: 생성/병합/닫힘 중 해당 연도의 마지막 이벤트
+function getAttributionDate(pr, year) {
+  const inYear = (date) => date && new Date(date).getFullYear() === year
 
-  for (const pr of prs) {
-    const createdAt = new Date(pr.created_at)
-    const week = getWeekNumber(createdAt)
-    const weekKey = `${year}-W${week.toString().padStart(2, '0')}`
+  if (ATTRIBUTE_BY === 'merged') return inYear(pr.merged_at) ? pr.merged_at : null
+  if (ATTRIBUTE_BY === 'activity') {
+    const events = [pr.created_at, pr.merged_at || pr.closed_at].filter(inYear)
+    return events.sort((a, b) => new Date(a) - new Date(b)).pop() || null
+  }
+  return inYear(pr.created_at) ? pr.created_at : null
+}
 
-    if (!weeklyData[weekKey]) {
-      weeklyData[weekKey] = { week, repos: {} }
-    }
+// 해당 연도에 한 번이라도 열려 있던 PR (연도 안에 생성됐거나, 그 전에 생성돼 연도 시작 시점에 열려 있던 PR)
+function isAliveInYear(pr, year) {
+  const createdAt = new Date(pr.created_at)
+  const closedAt = pr.closed_at ? new Date(pr.closed_at) : null
+  return createdAt < new Date(year + 1, 0, 1) && (!closedAt || closedAt >= new Date(year, 0, 1))
+}
 
-    const repoName = pr.base.repo.name
-    if (!weeklyData[weekKey].repos[repoName]) {
-      weeklyData[weekKey].repos[repoName] = []
-    }
+// 작년에서 넘어온 PR / 연말까지 열려 있는 PR / 병합 없이 닫힌 PR
+function getLifecycle(prs, year) {
+  const yearStart = new Date(year, 0, 1)
+  const yearEnd = new Date(year + 1, 0, 1)
+  const closedAt = (pr) => (pr.closed_at ? new Date(pr.closed_at) : null)
 
-    weeklyData[weekKey].repos[repoName].push(pr)
+  return {
+    carriedOver: prs.filter((pr) => new Date(pr.created_at) < yearStart),
+    openAtYearEnd: prs.filter((pr) => !closedAt(pr) || closedAt(pr) >= yearEnd),
+    closedUnmerged: prs.filter((pr) => !pr.merged_at && closedAt(pr) && closedAt(pr) < yearEnd),
   }
+}
 
-  let md = `# ${org}의 ${year}년 GitHub PR 활동\n\n`
-  md += `> 검색 이메일: ${EMAILS.join(', ')}\n`
-  md += `> 생성일: ${new Date().toLocaleDateString('ko-KR')}\n\n`
-  md += `---\n\n`
+// PR 나이: 생성부터 닫힌 시점까지, 아직 열려 있으면 연말(올해면 오늘)까지
+function getPRAgeDays(pr, year) {
+  const asOf = Math.min(Date.now(), new Date(year + 1, 0, 1).getTime())
+  const end = pr.closed_at ? Math.min(new Date(pr.closed_at).getTime(), asOf) : asOf
+  return Math.floor((end - new Date(pr.created_at).getTime()) / DAY_MS)
+}
 
-  const sortedWeeks = Object.keys(weeklyData).sort()
+// PR 카테고리 표시
+const CATEGORIES = {
+  feature: '✨ feature',
+  fix: '🐛 fix',
+  refactor: '♻️ refactor',
+  perf: '⚡ perf',
+  test: '🧪 test',
+  docs: '📝 docs',
+  chore: '🔧 chore',
+  other: '📦 other',
+}
 
-  if (sortedWeeks.length === 0) {
-    md += `활동 내역이 없습니다.\n`
-    return md
-  }
+// conventional commit 타입 -> 카테고리
+const DEFAULT_PREFIX_CATEGORIES = {
+  feat: 'feature',
+  feature: 'feature',
+  fix: 'fix',
+  bugfix: 'fix',
+  hotfix: 'fix',
+  refactor: 'refactor',
+  perf: 'perf',
+  test: 'test',
+  tests: 'test',
+  docs: 'docs',
+  doc: 'docs',
+  chore: 'chore',
+  build: 'chore',
+  ci: 'chore',
+  style: 'chore',
+  deps: 'chore',
+}
 
-  // 요약 통계
-  const totalPRs = prs.length
-  const mergedPRs = prs.filter((pr) => pr.merged_at).length
-  const repoSet = new Set(prs.map((pr) => pr.base.repo.name))
+// PR 라벨 (소문자) -> 카테고리
+const DEFAULT_LABEL_CATEGORIES = {
+  bug: 'fix',
+  fix: 'fix',
+  enhancement: 'feature',
+  feature: 'feature',
+  refactor: 'refactor',
+  refactoring: 'refactor',
+  performance: 'perf',
+  perf: 'perf',
+  test: 'test',
+  tests: 'test',
+  testing: 'test',
+  documentation: 'docs',
+  docs: 'docs',
+  chore: 'chore',
+  dependencies: 'chore',
+  maintenance: 'chore',
+}
 
-  md += `## 요약\n\n`
-  md += `- **총 PR 수**: ${totalPRs}개\n`
-  md += `- **Merged PR**: ${mergedPRs}개\n`
-  md += `- **활동 레포지토리**: ${repoSet.size}개\n`
-  md += `- **활동 주차**: ${sortedWeeks.length}주\n\n`
-  md += `---\n\n`
+// 매핑 파일 (JSON): { "prefixes": { "hotfix": "fix" }, "labels": { "type: bug": "fix" } }
+// 기본 매핑에 덮어쓰며, 라벨은 대소문자를 구분하지 않음
+function loadCategoryMap(path) {
+  const map = { prefixes: { ...DEFAULT_PREFIX_CATEGORIES }, labels: { ...DEFAULT_LABEL_CATEGORIES } }
+  if (!path) return map
 
-  for (const weekKey of sortedWeeks) {
-    const { week, repos } = weeklyData[weekKey]
-    const weekRange = getWeekRange(year, week)
+  let json
+  try {
+    json = JSON.parse(fs.readFileSync(path, 'utf8'))
+  } catch (e) {
+    throw new Error(`Failed to read category map ${path}: ${e.message}`)
+  }
 
-    md += `## ${weekKey} (${weekRange})\n\n`
+  for (const [prefix, category] of Object.entries(json.prefixes || {})) {
+    map.prefixes[prefix.toLowerCase()] = category
+  }
+  for (const [label, category] of Object.entries(json.labels || {})) {
+    map.labels[label.toLowerCase()] = category
+  }
+  return map
+}
 
-    for (const repoName of Object.keys(repos).sort()) {
-      const repoPRs = repos[repoName]
-      md += `### ${repoName}\n\n`
+// 카테고리 판단: 제목의 conventional commit 접두사 -> 라벨 -> other
+function classifyPR(pr, categoryMap) {
+  const match = pr.title.match(/^(\w+)(?:\(([^)]*)\))?!?:\s/)
+  const scope = match?.[2]?.trim() || null
 
-      for (const pr of repoPRs) {
-        const status = pr.merged_at ? '✅ Merged' : pr.state === 'closed' ? '❌ Closed' : '🟡 Open'
-        const createdDate = new Date(pr.created_at).toLocaleDateString('ko-KR', {
-          month: 'short',
-          day: 'numeric',
-        })
+  if (match && categoryMap.prefixes[match[1].toLowerCase()]) {
+    return { category: categoryMap.prefixes[match[1].toLowerCase()], scope }
+  }
 
-        md += `- **[#${pr.number}](${pr.html_url})** ${pr.title}\n`
-        md += `  - ${status} | ${createdDate} 생성`
+  for (const label of pr.labels || []) {
+    const category = categoryMap.labels[label.name.toLowerCase()]
+    if (category) return { category, scope }
+  }
 
-        if (pr.merged_at) {
-          const mergedDate = new Date(pr.merged_at).toLocaleDateString('ko-KR', {
-            month: 'short',
-            day: 'numeric',
-          })
-          md += ` | ${mergedDate} 병합`
-        }
+  return { category: 'other', scope }
+}
 
-        md += `\n`
+// 매핑 파일로 추가한 카테고리는 기본 배지 사용
+function formatCategory(category) {
+  return CATEGORIES[category] || `🏷️ ${category}`
+}
+
+// 리뷰 상태 표시
+const REVIEW_STATES = {
+  APPROVED: '✅ Approved',
+  CHANGES_REQUESTED: '🔄 Changes requested',
+  COMMENTED: '💬 Commented',
+  // GitLab에서 Approve나 코멘트 없이 병합만 한 MR
+  MERGED: '🔀 Merged',
+}
+
+// 내가 리뷰했거나 코멘트를 남긴 다른 사람의 PR 검색
+async function searchReviewedPRs(username, scope, year) {
+  const items = new Map()
+
+  for (const qualifier of [`reviewed-by:${username}`, `commenter:${username}`]) {
+    // 리뷰 시점으로는 검색할 수 없으므로 해당 연도 이후 업데이트된 PR을 가져와 리뷰 날짜로 거름
+    try {
+      const results = await searchByDateRange(
+        '/search/issues',
+        (range) => `type:pr ${qualifier} -author:${username} ${scope} updated:${range}`,
+        getYearRange(year)[0],
+        new Date(),
+        `${qualifier} ${scope}`
+      )
+      for (const item of results) items.set(item.id, item)
+    } catch (e) {
+      console.log(`\n⚠️  Search for ${qualifier} ${scope} failed: ${e.message}`)
+    }
+  }
+
+  return [...items.values()]
+}
+
+// PR에 해당 연도에 남긴 내 리뷰와 리뷰 코멘트 조회
+async function getMyReviews(item, usernames, year) {
+  const isMine = (user) => usernames.has(user?.login)
+  const inYear = (date) => date && new Date(date).getFullYear() === year
+
+  const [reviews, comments] = await Promise.all([
+    githubApiAll(`${item.pull_request.url}/reviews?per_page=100`, `reviews #${item.number}`),
+    githubApiAll(`${item.pull_request.url}/comments?per_page=100`, `review comments #${item.number}`),
+  ])
+
+  const myReviews = reviews.filter((r) => isMine(r.user) && r.state !== 'PENDING' && inYear(r.submitted_at))
+  const myComments = comments.filter((c) => isMine(c.user) && inYear(c.created_at))
+
+  // 대화 탭 댓글만 남긴 PR은 리뷰로 보지 않음
+  if (myReviews.length === 0 && myComments.length === 0) return null
+
+  // 마지막 Approve/Request changes를 최종 상태로 보고, 없으면 Commented
+  const decisive = myReviews.filter((r) => r.state === 'APPROVED' || r.state === 'CHANGES_REQUESTED').pop()
+  const dates = [...myReviews.map((r) => r.submitted_at), ...myComments.map((c) => c.created_at)].sort()
+
+  return {
+    number: item.number,
+    title: item.title,
+    html_url: item.html_url,
+    author: item.user?.login,
+    repoName: getRepoFullNameFromUrl(item.repository_url),
+    state: decisive ? decisive.state : 'COMMENTED',
+    reviewCount: myReviews.length,
+    commentCount: myComments.length,
+    reviewed_at: dates[0],
+  }
+}
+
+// 다른 사람 PR에 남긴 리뷰 수집
+async function fetchReviews(usernames, scopes, year) {
+  const candidates = new Map()
+
+  for (const username of usernames) {
+    for (const scope of scopes) {
+      const items = await searchReviewedPRs(username, scope, year)
+      // 여러 계정을 쓰는 경우 내 다른 계정이 작성한 PR 제외
+      const others = items.filter((item) => item.pull_request && !usernames.has(item.user?.login))
+      for (const item of others) candidates.set(item.id, item)
+      console.log(`@${username} (${scope}): ${items.length} PRs reviewed or commented`)
+    }
+  }
+
+  const reviews = []
+  let processed = 0
+  await runWithConcurrency([...candidates.values()], CONCURRENCY, async (item) => {
+    try {
+      const review = await getMyReviews(item, usernames, year)
+      if (review) reviews.push(review)
+    } catch (e) {
+      console.log(`\n⚠️  Failed to fetch reviews for ${item.html_url}: ${e.message}`)
+    }
+    processed++
+    process.stdout.write(`\rFetching reviews: ${processed}/${candidates.size} PRs | Reviewed ${reviews.length}`)
+  })
+  if (candidates.size > 0) console.log('')
+
+  return reviews.sort((a, b) => new Date(a.reviewed_at) - new Date(b.reviewed_at))
+}
+
+// 이슈 / Discussions 활동 종류별 제목
+const ISSUE_SECTIONS = {
+  opened: '📝 Issues opened',
+  closed: '✔️ Issues closed',
+  commented: '💬 Issues commented',
+  discussion: '🗣️ Discussions',
+}
+
+// 이슈 검색 결과 -> 활동 항목
+function toIssueActivity(kind, item, date, commentCount = 0) {
+  return {
+    kind,
+    number: item.number,
+    title: item.title,
+    html_url: item.html_url,
+    repoName: getRepoFullNameFromUrl(item.repository_url),
+    state: item.state,
+    date,
+    commentCount,
+  }
+}
+
+// Discussion 검색 (Search API는 Discussion을 지원하지 않으므로 GraphQL 사용)
+const DISCUSSION_SEARCH_QUERY = `
+query($q: String!, $cursor: String) {
+  search(type: DISCUSSION, query: $q, first: 50, after: $cursor) {
+    pageInfo { hasNextPage endCursor }
+    nodes {
+      ... on Discussion {
+        number
+        title
+        url
+        repository { nameWithOwner }
+        comments(first: 100) {
+          nodes {
+            author { login }
+            createdAt
+            replies(first: 50) { nodes { author { login } createdAt } }
+          }
+        }
+      }
+    }
+  }
+}`
+
+// 내가 코멘트(답글 포함)를 남긴 Discussion
+async function searchDiscussions(username, usernames, scope, year) {
+  const inYear = (date) => new Date(date).getFullYear() === year
+  const discussions = []
+  let cursor = null
+
+  do {
+    const data = await githubGraphql(
+      DISCUSSION_SEARCH_QUERY,
+      { q: `${scope} commenter:${username} updated:>=${year}-01-01`, cursor },
+      `discussions/${username} ${scope}`
+    )
+    for (const node of data.search.nodes) {
+      const comments = node.comments.nodes.flatMap((c) => [c, ...c.replies.nodes])
+      const mine = comments.filter((c) => usernames.has(c.author?.login) && inYear(c.createdAt))
+      if (mine.length === 0) continue
+
+      discussions.push({
+        kind: 'discussion',
+        number: node.number,
+        title: node.title,
+        html_url: node.url,
+        repoName: node.repository.nameWithOwner,
+        date: mine.map((c) => c.createdAt).sort()[0],
+        commentCount: mine.length,
+      })
+    }
+    cursor = data.search.pageInfo.hasNextPage ? data.search.pageInfo.endCursor : null
+  } while (cursor)
+
+  return discussions
+}
+
+// 이슈 작성 / 닫음 / 코멘트와 Discussion 코멘트 수집
+async function fetchIssueActivity(usernames, scopes, year) {
+  const [start, end] = getYearRange(year)
+  const inYear = (date) => new Date(date).getFullYear() === year
+  const search = (buildQuery, rangeEnd, context) =>
+    searchByDateRange('/search/issues', buildQuery, start, rangeEnd, context).catch((e) => {
+      console.log(`\n⚠️  Search for ${context} failed: ${e.message}`)
+      return []
+    })
+
+  const opened = new Map()
+  const closedCandidates = new Map()
+  const commentedCandidates = new Map()
+  const discussions = new Map()
+
+  for (const username of usernames) {
+    for (const scope of scopes) {
+      const openedItems = await search(
+        (range) => `type:issue author:${username} ${scope} created:${range}`,
+        end,
+        `issues/${username} ${scope}`
+      )
+      openedItems.forEach((item) => opened.set(item.id, toIssueActivity('opened', item, item.created_at)))
+
+      // 검색으로는 닫은 사람을 알 수 없으므로 관련된 이슈를 찾은 뒤 상세의 closed_by로 확인
+      const closedItems = await search(
+        (range) => `type:issue is:closed involves:${username} ${scope} closed:${range}`,
+        end,
+        `closed issues/${username} ${scope}`
+      )
+      closedItems.forEach((item) => closedCandidates.set(item.id, item))
+
+      // 코멘트 날짜로는 검색할 수 없으므로 해당 연도 이후 업데이트된 이슈에서 내 코멘트를 확인
+      const commentedItems = await search(
+        (range) => `type:issue commenter:${username} -author:${username} ${scope} updated:${range}`,
+        new Date(),
+        `commented issues/${username} ${scope}`
+      )
+      commentedItems.forEach((item) => commentedCandidates.set(item.id, item))
+
+      try {
+        for (const discussion of await searchDiscussions(username, usernames, scope, year)) {
+          discussions.set(discussion.html_url, discussion)
+        }
+      } catch (e) {
+        console.log(`\n⚠️  Discussion search failed for ${username} ${scope}: ${e.message}`)
+      }
+    }
+  }
+
+  const closed = []
+  const commented = []
+  const candidates = [
+    ...[...closedCandidates.values()].map((item) => ({ kind: 'closed', item })),
+    ...[...commentedCandidates.values()].map((item) => ({ kind: 'commented', item })),
+  ]
+  let processed = 0
+
+  await runWithConcurrency(candidates, CONCURRENCY, async ({ kind, item }) => {
+    try {
+      if (kind === 'closed') {
+        const { data } = await githubApi(item.url, {}, `issue #${item.number}`)
+        if (usernames.has(data.closed_by?.login)) {
+          closed.push(toIssueActivity('closed', item, data.closed_at))
+        }
+      } else {
+        const comments = await githubApiAll(
+          `${item.comments_url}?since=${year}-01-01T00:00:00Z&per_page=100`,
+          `issue comments #${item.number}`
+        )
+        const mine = comments.filter((c) => usernames.has(c.user?.login) && inYear(c.created_at))
+        if (mine.length > 0) {
+          commented.push(toIssueActivity('commented', item, mine[0].created_at, mine.length))
+        }
+      }
+    } catch (e) {
+      console.log(`\n⚠️  Failed to fetch ${item.html_url}: ${e.message}`)
+    }
+    processed++
+    process.stdout.write(`\rChecking issues: ${processed}/${candidates.length}`)
+  })
+  if (candidates.length > 0) console.log('')
+
+  return [...opened.values(), ...closed, ...commented, ...discussions.values()].sort(
+    (a, b) => new Date(a.date) - new Date(b.date)
+  )
+}
+
+// GitLab (--provider=gitlab)
+// REST 호출, 재시도, Link 헤더 페이지네이션은 githubApi / githubApiAll을 그대로 사용
+
+// 그룹의 Merge Request 목록 (group/subgroup 경로는 URL 인코딩)
+async function listGroupMergeRequests(group, params, context) {
+  const query = new URLSearchParams({ scope: 'all', state: 'all', per_page: '100', ...params })
+  return githubApiAll(`/groups/${encodeURIComponent(group)}/merge_requests?${query}`, context)
+}
+
+// Merge Request -> PR 형식 (generateMarkdown이 사용하는 필드)
+function gitlabMRToPR(mr) {
+  const fullName = mr.references.full.split('!')[0]
+  return {
+    id: mr.id,
+    number: mr.iid,
+    title: mr.title,
+    body: mr.description || '',
+    state: mr.state === 'opened' ? 'open' : 'closed',
+    created_at: mr.created_at,
+    merged_at: mr.merged_at || null,
+    closed_at: mr.merged_at || mr.closed_at || null,
+    html_url: mr.web_url,
+    user: { login: mr.author?.username },
+    labels: (mr.labels || []).map((name) => ({ name })),
+    base: { repo: { name: fullName.split('/').pop(), full_name: fullName } },
+  }
+}
+
+// 이메일로 GitLab username 조회 (--gitlab-username이 있으면 그대로 사용)
+// 공개 이메일만 검색되므로 못 찾으면 다른 사람의 MR을 가져오지 않도록 에러
+async function getGitlabUsernames(emails) {
+  const usernames = new Set(GITLAB_USERNAMES)
+  if (usernames.size > 0) return usernames
+
+  for (const email of emails) {
+    try {
+      const users = await githubApiAll(`/users?search=${encodeURIComponent(email)}`, `users/${email}`)
+      users.forEach((user) => usernames.add(user.username))
+    } catch (e) {
+      console.log(`\n⚠️  User search failed for ${email}: ${e.message}`)
+    }
+  }
+
+  if (usernames.size === 0) {
+    throw new Error(
+      `No GitLab user found for ${emails.join(', ')} (only public emails are searchable). Use --gitlab-username=<username>`
+    )
+  }
+
+  return usernames
+}
+
+// 다른 사람 MR에 남긴 코멘트/Approve와 내가 병합한 MR을 리뷰 항목으로 변환
+async function getMyGitlabReview(mr, usernames, year) {
+  const inYear = (date) => date && new Date(date).getFullYear() === year
+  const notes = await githubApiAll(
+    `/projects/${mr.project_id}/merge_requests/${mr.iid}/notes?per_page=100`,
+    `notes !${mr.iid}`
+  )
+
+  const mine = notes.filter((n) => usernames.has(n.author?.username) && inYear(n.created_at))
+  const comments = mine.filter((n) => !n.system)
+  // Approve는 시스템 노트로 남음
+  const approvals = mine.filter((n) => n.system && /^approved this merge request/.test(n.body))
+  const mergedByMe = usernames.has(mr.merge_user?.username || mr.merged_by?.username) && inYear(mr.merged_at)
+
+  if (comments.length === 0 && approvals.length === 0 && !mergedByMe) return null
+
+  const dates = [...comments, ...approvals].map((n) => n.created_at)
+  if (mergedByMe) dates.push(mr.merged_at)
+
+  return {
+    number: mr.iid,
+    title: mr.title,
+    html_url: mr.web_url,
+    author: mr.author?.username,
+    repoName: mr.references.full.split('!')[0],
+    state: approvals.length > 0 ? 'APPROVED' : mergedByMe ? 'MERGED' : 'COMMENTED',
+    reviewCount: approvals.length,
+    commentCount: comments.length,
+    reviewed_at: dates.sort()[0],
+  }
+}
+
+// 리뷰어로 지정됐거나 내가 병합한 다른 사람의 MR 수집
+async function fetchGitlabReviews(usernames, groups, year) {
+  const updatedAfter = new Date(year, 0, 1).toISOString()
+  const candidates = new Map()
+
+  for (const group of groups) {
+    for (const username of usernames) {
+      const reviewed = await listGroupMergeRequests(
+        group,
+        { reviewer_username: username, updated_after: updatedAfter },
+        `${group} reviewer/${username}`
+      )
+      reviewed.forEach((mr) => candidates.set(mr.id, mr))
+      console.log(`@${username} (${group}): ${reviewed.length} merge requests to review`)
+    }
+
+    // 병합한 사람으로는 검색할 수 없으므로 해당 연도 이후 병합된 MR에서 확인
+    const merged = await listGroupMergeRequests(
+      group,
+      { state: 'merged', updated_after: updatedAfter },
+      `${group} merged`
+    )
+    merged
+      .filter((mr) => usernames.has(mr.merge_user?.username || mr.merged_by?.username))
+      .forEach((mr) => candidates.set(mr.id, mr))
+  }
+
+  // 여러 계정을 쓰는 경우 내 다른 계정이 작성한 MR 제외
+  const others = [...candidates.values()].filter((mr) => !usernames.has(mr.author?.username))
+  const reviews = []
+  let processed = 0
+  await runWithConcurrency(others, CONCURRENCY, async (mr) => {
+    try {
+      const review = await getMyGitlabReview(mr, usernames, year)
+      if (review) reviews.push(review)
+    } catch (e) {
+      console.log(`\n⚠️  Failed to fetch notes for ${mr.web_url}: ${e.message}`)
+    }
+    processed++
+    process.stdout.write(`\rFetching reviews: ${processed}/${others.length} MRs | Reviewed ${reviews.length}`)
+  })
+  if (others.length > 0) console.log('')
+
+  return reviews.sort((a, b) => new Date(a.reviewed_at) - new Date(b.reviewed_at))
+}
+
+// GitLab 그룹에서 내가 작성한 MR과 리뷰/병합한 MR 수집 (--reviews 없이도 항상)
+async function collectGitlabActivity() {
+  const prMap = new Map()
+
+  console.log(`\nResolving GitLab usernames...`)
+  const usernames = await getGitlabUsernames(EMAILS)
+  console.log(`Found usernames: ${[...usernames].join(', ')}`)
+
+  // 작년에 생성돼 올해 병합/닫힌 MR도 찾기 위해 업데이트 날짜로 조회
+  const updatedAfter = new Date(YEAR, 0, 1).toISOString()
+  for (const group of ORGS) {
+    for (const username of usernames) {
+      const mrs = await listGroupMergeRequests(
+        group,
+        { author_username: username, updated_after: updatedAfter },
+        `${group} author/${username}`
+      )
+      const prs = mrs.map(gitlabMRToPR).filter((pr) => isAliveInYear(pr, YEAR))
+      prs.forEach((pr) => prMap.set(pr.id, pr))
+      console.log(`@${username} (${group}): ${mrs.length} merge requests found, ${prs.length} in ${YEAR}`)
+    }
+  }
+
+  timer.lap(`Total ${prMap.size} unique merge requests found`)
+
+  console.log(`\nSearching reviewed and merged merge requests...`)
+  const reviews = await fetchGitlabReviews(usernames, ORGS, YEAR)
+  timer.lap(`Found ${reviews.length} reviewed or merged merge requests`)
+
+  return { prMap, directCommits: new Map(), reviews }
+}
+
+// 로컬 git clone (--local-repos)
+// 병합 커밋과 squash merge 커밋 제목으로 PR을 추정 (형식은 리모트 호스트별로 LOCAL_HOSTS 참고)
+
+// git 명령 실행 (출력이 큰 레포도 있으므로 버퍼를 넉넉하게, stderr는 에러 메시지로만 사용)
+function git(dir, args) {
+  return execFileSync('git', ['-C', dir, ...args], {
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  })
+}
+
+function isGitRepo(dir) {
+  return fs.existsSync(`${dir}/.git`)
+}
+
+// 레포 디렉터리는 그대로, 상위 디렉터리면 바로 아래의 레포들
+function findLocalRepos(dirs) {
+  const repos = []
+
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Local repository path not found: ${dir}`)
+    }
+    if (isGitRepo(dir)) {
+      repos.push(dir)
+      continue
+    }
+    const children = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && isGitRepo(`${dir}/${entry.name}`))
+      .map((entry) => `${dir}/${entry.name}`)
+    if (children.length === 0) {
+      console.log(`\n⚠️  No git repositories found in ${dir}`)
+    }
+    repos.push(...children.sort())
+  }
+
+  return repos
+}
+
+// 호스트별 PR 커밋 형식과 웹 경로 (호스트 이름에 github/gitlab이 있으면 해당 형식, 나머지는 GitHub 형식)
+// mergeNumber: 병합 커밋에서 PR 번호, squash: squash merge 커밋 제목 (제목, 번호)
+const LOCAL_HOSTS = {
+  github: {
+    pull: 'pull',
+    commit: 'commit',
+    // "Merge pull request #123 from ..."
+    mergeNumber: (commit) => commit.subject.match(/^Merge pull request #(\d+)/)?.[1],
+    // "제목 (#123)"
+    squash: /^(.*) \(#(\d+)\)$/,
+  },
+  gitlab: {
+    pull: '-/merge_requests',
+    commit: '-/commit',
+    // "Merge branch 'x' into 'y'" + 본문 "See merge request group/repo!123" (#123은 이슈 번호)
+    mergeNumber: (commit) => commit.body.match(/^See merge request \S+!(\d+)\s*$/m)?.[1],
+    // "제목 (!123)" 또는 "제목 !123"
+    squash: /^(.*?) \(?!(\d+)\)?$/,
+  },
+}
+
+// origin 리모트로 owner/repo와 웹 URL 추정 (리모트가 없거나 알 수 없는 호스트면 webUrl 없음)
+function getLocalRepoInfo(dir) {
+  let remote = ''
+  try {
+    remote = git(dir, ['remote', 'get-url', 'origin']).trim()
+  } catch (e) {
+    // origin 리모트 없음
+  }
+
+  // git@host:owner/repo.git, https://host/owner/repo.git, ssh://git@host/owner/repo.git
+  const match = remote.match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/)
+  if (match) {
+    const host = Object.keys(LOCAL_HOSTS).find((name) => match[1].split('.').includes(name))
+    return {
+      fullName: match[2],
+      webUrl: host ? `https://${match[1]}/${match[2]}` : null,
+      host: LOCAL_HOSTS[host || 'github'],
+    }
+  }
+
+  const name = dir.replace(/\/+$/, '').split('/').pop()
+  return { fullName: name, webUrl: null, host: LOCAL_HOSTS.github }
+}
+
+// 기본 브랜치: origin/HEAD, 없으면 현재 체크아웃된 브랜치
+function getLocalMainline(dir) {
+  try {
+    return git(dir, ['rev-parse', '--verify', '--quiet', 'refs/remotes/origin/HEAD']).trim()
+  } catch (e) {
+    return 'HEAD'
+  }
+}
+
+// git log 한 줄씩 파싱 (필드 구분: \x1f, 커밋 구분: \x1e)
+const LOCAL_LOG_FIELDS = ['sha', 'parents', 'email', 'authoredAt', 'committedAt', 'subject', 'body']
+const LOCAL_LOG_FORMAT = '%H%x1f%P%x1f%ae%x1f%aI%x1f%cI%x1f%s%x1f%b%x1e'
+
+function gitLog(dir, args) {
+  return git(dir, ['log', `--format=${LOCAL_LOG_FORMAT}`, ...args])
+    .split('\x1e')
+    .map((record) => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map((record) => {
+      const values = record.split('\x1f')
+      const commit = Object.fromEntries(LOCAL_LOG_FIELDS.map((field, i) => [field, values[i]]))
+      commit.parents = commit.parents ? commit.parents.split(' ') : []
+      return commit
+    })
+}
+
+// 레포 하나에서 내 커밋이 포함된 PR과 PR 없이 푸시한 커밋 수집
+function collectLocalRepo(dir, emails, year) {
+  const { fullName, webUrl, host } = getLocalRepoInfo(dir)
+  const isMine = (commit) => emails.has(commit.email.toLowerCase())
+  const link = (type, id) => (webUrl ? `${webUrl}/${host[type]}/${id}` : '')
+  const prs = []
+  const directCommits = []
+
+  const toPR = ({ number, title, body, author, createdAt, mergedAt }) => ({
+    id: `${fullName}#${number}`,
+    number,
+    title,
+    body,
+    user: { login: author },
+    state: 'closed',
+    created_at: createdAt,
+    merged_at: mergedAt,
+    closed_at: mergedAt,
+    html_url: link('pull', number),
+    labels: [],
+    base: { repo: { name: fullName.split('/').pop(), full_name: fullName } },
+  })
+  const toDirect = (commit) => ({
+    sha: commit.sha,
+    message: commit.subject,
+    html_url: link('commit', commit.sha),
+    repoName: fullName,
+    date: commit.committedAt,
+  })
+
+  // 기본 브랜치에 해당 연도에 들어온 커밋 (병합 커밋 포함)
+  const mainline = gitLog(dir, [
+    '--first-parent',
+    `--since=${year}-01-01T00:00:00`,
+    `--until=${year + 1}-01-01T00:00:00`,
+    getLocalMainline(dir),
+  ])
+
+  for (const commit of mainline) {
+    if (commit.parents.length > 1) {
+      // 병합된 브랜치의 커밋 중 내 커밋이 있는지 확인
+      const merged = gitLog(dir, ['--no-merges', `${commit.parents[0]}..${commit.parents[1]}`])
+      const mine = merged.filter(isMine)
+      if (mine.length === 0) continue
+
+      const number = host.mergeNumber(commit)
+      if (!number) {
+        // PR 번호가 없는 브랜치 병합은 PR 없이 푸시한 커밋으로 취급
+        directCommits.push(...mine.map(toDirect))
+        continue
+      }
+
+      // 병합 커밋 본문의 첫 줄이 PR 제목, 생성일은 브랜치의 첫 커밋으로 추정
+      const [title = commit.subject, ...body] = commit.body
+        .replace(/^See merge request .*$/m, '')
+        .trim()
+        .split('\n')
+      prs.push(
+        toPR({
+          number: parseInt(number, 10),
+          title,
+          body: body.join('\n').trim(),
+          author: mine[0].email,
+          createdAt: merged.map((c) => c.authoredAt).sort()[0],
+          mergedAt: commit.committedAt,
+        })
+      )
+      continue
+    }
+
+    if (!isMine(commit)) continue
+
+    const squash = commit.subject.match(host.squash)
+    if (squash) {
+      prs.push(
+        toPR({
+          number: parseInt(squash[2], 10),
+          title: squash[1],
+          body: commit.body.trim(),
+          author: commit.email,
+          createdAt: commit.authoredAt,
+          mergedAt: commit.committedAt,
+        })
+      )
+    } else {
+      directCommits.push(toDirect(commit))
+    }
+  }
+
+  return { fullName, prs, directCommits }
+}
+
+// 로컬 clone들에서 PR과 Direct commits 수집 (API 호출 없음)
+async function collectLocalActivity() {
+  const prMap = new Map()
+  const directCommits = new Map()
+  const emails = new Set(EMAILS.map((email) => email.toLowerCase()))
+
+  console.log(`\nScanning local repositories...`)
+  const repos = findLocalRepos(LOCAL_REPOS)
+  console.log(`Found ${repos.length} repositories`)
+
+  for (const dir of repos) {
+    try {
+      const { fullName, prs, directCommits: commits } = collectLocalRepo(dir, emails, YEAR)
+      prs.forEach((pr) => prMap.set(pr.id, pr))
+      commits.forEach((commit) => directCommits.set(commit.sha, commit))
+      console.log(`${fullName}: ${prs.length} PRs, ${commits.length} commits without PR`)
+    } catch (e) {
+      console.log(`\n⚠️  git log failed for ${dir}: ${e.message}`)
+    }
+  }
+
+  timer.lap(`Collected ${prMap.size} PRs from local repositories (${directCommits.size} commits without PR)`)
+
+  return { prMap, directCommits }
+}
+
+// PR 크기 구간 (추가 + 삭제 라인 기준 상한)
+const SIZE_BUCKETS = [
+  ['XS', 10],
+  ['S', 50],
+  ['M', 250],
+  ['L', 1000],
+  ['XL', Infinity],
+]
+
+function getSizeBucket(lines) {
+  return SIZE_BUCKETS.find(([, max]) => lines <= max)[0]
+}
+
+// 리뷰 목록으로 PR 소요 시간 계산
+// 리뷰 라운드: 변경 요청(Request changes)마다 한 라운드, 마지막 변경 요청 이후 리뷰가 있으면 한 라운드 추가
+function computePRMetrics(pr, reviews) {
+  const createdAt = new Date(pr.created_at)
+  const others = reviews
+    .filter((r) => r.state !== 'PENDING' && r.submitted_at && r.user?.login !== pr.user?.login)
+    .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at))
+
+  let rounds = 0
+  let pendingRound = false
+  for (const review of others) {
+    if (review.state === 'CHANGES_REQUESTED') {
+      rounds++
+      pendingRound = false
+    } else {
+      pendingRound = true
+    }
+  }
+  if (pendingRound) rounds++
+
+  const lines = (pr.additions || 0) + (pr.deletions || 0)
+
+  return {
+    lines,
+    size: getSizeBucket(lines),
+    firstReviewMs: others.length > 0 ? new Date(others[0].submitted_at) - createdAt : null,
+    mergeMs: pr.merged_at ? new Date(pr.merged_at) - createdAt : null,
+    rounds,
+  }
+}
+
+// PR 상세(크기)와 리뷰 목록을 조회해 지표 추가
+async function attachMetrics(prs) {
+  let processed = 0
+  let failed = 0
+
+  await runWithConcurrency(prs, CONCURRENCY, async (pr) => {
+    // 검색 결과 fallback은 pull_request.url, 나머지는 PR API url
+    const pullUrl = pr.pull_request?.url || pr.url
+    try {
+      // 커밋으로 찾은 PR 목록에는 크기 정보가 없으므로 상세 조회
+      if (pr.additions === undefined) {
+        const { data } = await githubApi(pullUrl, {}, `PR #${pr.number}`)
+        Object.assign(pr, data)
+      }
+      // GraphQL로 조회한 PR에는 리뷰 목록이 포함되어 있음
+      if (pr.reviews) requestStats.replaced++
+      const reviews = pr.reviews || (await githubApiAll(`${pullUrl}/reviews?per_page=100`, `reviews #${pr.number}`))
+      pr.metrics = computePRMetrics(pr, reviews)
+    } catch (e) {
+      failed++
+    }
+    processed++
+    process.stdout.write(`\rFetching PR metrics: ${processed}/${prs.length}`)
+  })
+  if (prs.length > 0) console.log('')
+
+  if (failed > 0) {
+    console.log(`⚠️  Failed to fetch metrics for ${failed} PRs`)
+  }
+}
+
+// 경로 glob -> 정규식
+// `**`는 하위 디렉터리 포함, `*`와 `?`는 디렉터리 구분자 제외, `/`가 없는 패턴은 파일 이름에 매칭 (예: *.lock)
+function pathGlobToRegExp(pattern) {
+  const trimmed = pattern.trim()
+  const source = trimmed
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '\u0001')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?')
+    .replace(/\u0001/g, '.*')
+  return new RegExp(trimmed.includes('/') ? `^${source}$` : `(?:^|/)${source}$`)
+}
+
+const includePathPatterns = INCLUDE_PATHS.map(pathGlobToRegExp)
+const excludePathPatterns = EXCLUDE_PATHS.map(pathGlobToRegExp)
+
+function isPathIncluded(filename) {
+  if (includePathPatterns.length > 0 && !includePathPatterns.some((re) => re.test(filename))) return false
+  return !excludePathPatterns.some((re) => re.test(filename))
+}
+
+// 확장자 -> 언어
+const LANGUAGES = {
+  js: 'JavaScript',
+  jsx: 'JavaScript',
+  mjs: 'JavaScript',
+  cjs: 'JavaScript',
+  ts: 'TypeScript',
+  tsx: 'TypeScript',
+  py: 'Python',
+  go: 'Go',
+  rb: 'Ruby',
+  java: 'Java',
+  kt: 'Kotlin',
+  kts: 'Kotlin',
+  swift: 'Swift',
+  m: 'Objective-C',
+  rs: 'Rust',
+  c: 'C',
+  h: 'C',
+  cc: 'C++',
+  cpp: 'C++',
+  hpp: 'C++',
+  cs: 'C#',
+  php: 'PHP',
+  scala: 'Scala',
+  dart: 'Dart',
+  sh: 'Shell',
+  bash: 'Shell',
+  sql: 'SQL',
+  css: 'CSS',
+  scss: 'CSS',
+  sass: 'CSS',
+  less: 'CSS',
+  html: 'HTML',
+  vue: 'Vue',
+  svelte: 'Svelte',
+  md: 'Markdown',
+  mdx: 'Markdown',
+  json: 'JSON',
+  yml: 'YAML',
+  yaml: 'YAML',
+  toml: 'TOML',
+  xml: 'XML',
+  graphql: 'GraphQL',
+  gql: 'GraphQL',
+  proto: 'Protocol Buffers',
+  tf: 'Terraform',
+}
+
+// 언어 이름 (모르는 확장자는 `.ext`, 확장자가 없으면 파일 이름: Dockerfile, Makefile 등)
+function getLanguage(filename) {
+  const basename = filename.split('/').pop()
+  const dot = basename.lastIndexOf('.')
+  if (dot <= 0) return basename
+  const ext = basename.slice(dot + 1).toLowerCase()
+  return LANGUAGES[ext] || `.${ext}`
+}
+
+// PR별 변경 파일 조회 (경로 필터 적용)
+async function attachFiles(prs) {
+  let processed = 0
+  let failed = 0
+
+  await runWithConcurrency(prs, CONCURRENCY, async (pr) => {
+    const pullUrl = pr.pull_request?.url || pr.url
+    try {
+      const files = await githubApiAll(`${pullUrl}/files?per_page=100`, `files #${pr.number}`)
+      const included = files.filter((f) => isPathIncluded(f.filename))
+      pr.files = included.map((f) => ({ filename: f.filename, lines: f.additions + f.deletions }))
+      pr.excludedLines = files
+        .filter((f) => !included.includes(f))
+        .reduce((sum, f) => sum + f.additions + f.deletions, 0)
+    } catch (e) {
+      failed++
+    }
+    processed++
+    process.stdout.write(`\rFetching PR files: ${processed}/${prs.length}`)
+  })
+  if (prs.length > 0) console.log('')
+
+  if (failed > 0) {
+    console.log(`⚠️  Failed to fetch files for ${failed} PRs`)
+  }
+}
+
+// 레포 / 최상위 디렉터리 / 언어별 변경 라인 집계
+function aggregateAreas(prs) {
+  const createAreas = () => ({ total: 0, repos: new Map(), dirs: new Map(), languages: new Map() })
+  const add = (map, key, lines, pr) => {
+    const entry = map.get(key) || { lines: 0, prs: new Set() }
+    entry.lines += lines
+    entry.prs.add(pr)
+    map.set(key, entry)
+  }
+
+  const overall = createAreas()
+  const quarters = {}
+
+  for (const pr of prs) {
+    if (!pr.files) continue
+    const quarter = Math.floor(new Date(pr.attributed_at || pr.created_at).getMonth() / 3) + 1
+    quarters[quarter] = quarters[quarter] || createAreas()
+
+    for (const file of pr.files) {
+      const repoName = pr.base.repo.full_name
+      const dir = file.filename.includes('/') ? file.filename.split('/')[0] : '(root)'
+
+      for (const areas of [overall, quarters[quarter]]) {
+        areas.total += file.lines
+        add(areas.repos, repoName, file.lines, pr)
+        add(areas.dirs, `${repoName}/${dir}`, file.lines, pr)
+        add(areas.languages, getLanguage(file.filename), file.lines, pr)
+      }
+    }
+  }
+
+  return { overall, quarters }
+}
+
+// 변경 라인 순 정렬
+function rankAreas(map) {
+  return [...map.entries()].sort((a, b) => b[1].lines - a[1].lines)
+}
+
+function formatShare(lines, total) {
+  return total > 0 ? `${Math.round((lines / total) * 100)}%` : '-'
+}
+
+// 순위 표
+function formatAreaTable(label, map, total, limit) {
+  let md = `| 순위 | ${label} | 변경 라인 | 비율 | PR |\n`
+  md += `|-----:|------|------:|-----:|---:|\n`
+  rankAreas(map)
+    .slice(0, limit)
+    .forEach(([name, { lines, prs }], i) => {
+      md += `| ${i + 1} | ${name} | ${lines.toLocaleString()} | ${formatShare(lines, total)} | ${prs.size} |\n`
+    })
+  return md + '\n'
+}
+
+// 정렬된 값에서 백분위수 (nearest-rank)
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null
+  const index = Math.max(0, Math.ceil((p / 100) * sortedValues.length) - 1)
+  return sortedValues[index]
+}
+
+// 소요 시간 표시 (분/시간/일)
+function formatDuration(ms) {
+  if (ms === null) return '-'
+  const hours = ms / (60 * 60 * 1000)
+  if (hours < 1) return `${Math.round(hours * 60)}분`
+  if (hours < 48) return `${hours.toFixed(1)}시간`
+  return `${(hours / 24).toFixed(1)}일`
+}
+
+// 중앙값 · p90 표시
+function formatDistribution(values) {
+  const sorted = values.filter((v) => v !== null).sort((a, b) => a - b)
+  if (sorted.length === 0) return '-'
+  return `중앙값 ${formatDuration(percentile(sorted, 50))} · p90 ${formatDuration(percentile(sorted, 90))}`
+}
+
+// 주차 계산
+function getWeekNumber(date) {
+  const d = new Date(date)
+  const startOfYear = new Date(d.getFullYear(), 0, 1)
+  const days = Math.floor((d - startOfYear) / (24 * 60 * 60 * 1000))
+  return Math.ceil((days + startOfYear.getDay() + 1) / 7)
+}
+
+// 주간 범위 문자열
+function getWeekRange(year, week) {
+  const startOfYear = new Date(year, 0, 1)
+  const daysOffset = (week - 1) * 7 - startOfYear.getDay()
+  const weekStart = new Date(year, 0, 1 + daysOffset)
+  const weekEnd = new Date(weekStart)
+  weekEnd.setDate(weekEnd.getDate() + 6)
+
+  const format = (d) => `${d.getMonth() + 1}/${d.getDate()}`
+  return `${format(weekStart)} - ${format(weekEnd)}`
+}
+
+// 마크다운 링크 (URL이 없으면 텍스트만, 예: 알 수 없는 호스트의 로컬 레포)
+function mdLink(text, url) {
+  return url ? `[${text}](${url})` : text
+}
+
+// 마크다운 생성
+// extras.reviews: 다른 사람 PR에 남긴 리뷰 목록 (--reviews 사용 시)
+// extras.issues: 이슈와 Discussion 활동 목록 (--issues 사용 시)
+// extras.directCommits: PR 없이 푸시된 커밋 목록
+// extras.lifecycle: 작년에서 넘어온 PR, 연말까지 열려 있는 PR, 병합 없이 닫힌 PR
+function generateMarkdown(prs, org, year, extras = {}) {
+  const { reviews, issues, directCommits = [], lifecycle } = extras
+
+  // 주간별로 그룹화
+  const weeklyData = {}
+
+  function ensureWeek(date) {
+    const week = getWeekNumber(new Date(date))
+    const weekKey = `${year}-W${week.toString().padStart(2, '0')}`
+
+    if (!weeklyData[weekKey]) {
+      weeklyData[weekKey] = { week, repos: {}, reviews: [], issues: [] }
+    }
+    return weeklyData[weekKey]
+  }
+
+  for (const pr of prs) {
+    const { repos } = ensureWeek(pr.attributed_at || pr.created_at)
+
+    const repoName = pr.base.repo.full_name
+    if (!repos[repoName]) {
+      repos[repoName] = []
+    }
+
+    repos[repoName].push(pr)
+  }
+
+  for (const review of reviews || []) {
+    ensureWeek(review.reviewed_at).reviews.push(review)
+  }
+
+  for (const issue of issues || []) {
+    ensureWeek(issue.date).issues.push(issue)
+  }
+
+  let md = `# ${org}의 ${year}년 ${PROVIDER_NAME} PR 활동\n\n`
+  md += `> 검색 이메일: ${EMAILS.join(', ')}\n`
+  md += `> 집계 기준: ${ATTRIBUTION_LABELS[ATTRIBUTE_BY]}\n`
+  md += `> 생성일: ${new Date().toLocaleDateString('ko-KR')}\n\n`
+  md += `---\n\n`
+
+  const sortedWeeks = Object.keys(weeklyData).sort()
+  const lifecycleSections = Object.entries(LIFECYCLE_SECTIONS)
+    .map(([key, heading]) => [heading, lifecycle?.[key] || []])
+    .filter(([, items]) => items.length > 0)
+
+  if (sortedWeeks.length === 0 && directCommits.length === 0 && lifecycleSections.length === 0) {
+    md += `활동 내역이 없습니다.\n`
+    return md
+  }
+
+  // 요약 통계
+  const totalPRs = prs.length
+  const mergedPRs = prs.filter((pr) => pr.merged_at).length
+  const repoSet = new Set(prs.map((pr) => pr.base.repo.full_name))
+
+  md += `## 요약\n\n`
+  md += `- **총 PR 수**: ${totalPRs}개\n`
+  md += `- **Merged PR**: ${mergedPRs}개\n`
+  md += `- **활동 레포지토리**: ${repoSet.size}개\n`
+  if (directCommits.length > 0) {
+    md += `- **Direct commits**: ${directCommits.length}개 (PR 없이 푸시한 커밋)\n`
+  }
+
+  // 여러 Organization / 개인 레포를 함께 집계한 경우 owner별 소계
+  const ownerOf = (repoName) => repoName.split('/')[0]
+  const owners = [...new Set([...repoSet, ...directCommits.map((c) => c.repoName)].map(ownerOf))].sort()
+  if (owners.length > 1) {
+    md += `- **Organization별**:\n`
+    for (const owner of owners) {
+      const ownerPRs = prs.filter((pr) => ownerOf(pr.base.repo.full_name) === owner)
+      const ownerRepos = [...repoSet].filter((repoName) => ownerOf(repoName) === owner)
+      const ownerCommits = directCommits.filter((c) => ownerOf(c.repoName) === owner)
+      md += `  - ${owner}: PR ${ownerPRs.length}개 · Merged ${ownerPRs.filter((pr) => pr.merged_at).length}개`
+      md += ` · 레포 ${ownerRepos.length}개`
+      if (ownerCommits.length > 0) md += ` · Direct commits ${ownerCommits.length}개`
+      md += `\n`
+    }
+  }
+  if (reviews) {
+    const stateSummary = Object.keys(REVIEW_STATES)
+      .map((state) => [state, reviews.filter((r) => r.state === state).length])
+      .filter(([, count]) => count > 0)
+      .map(([state, count]) => `${REVIEW_STATES[state]} ${count}`)
+      .join(', ')
+    const commentCount = reviews.reduce((sum, r) => sum + r.commentCount, 0)
+    md += `- **리뷰한 PR**: ${reviews.length}개${stateSummary ? ` (${stateSummary})` : ''}\n`
+    md += `- **리뷰 코멘트**: ${commentCount}개\n`
+  }
+  if (issues) {
+    const byKind = (kind) => issues.filter((i) => i.kind === kind)
+    const issueComments = byKind('commented').reduce((sum, i) => sum + i.commentCount, 0)
+    const discussionComments = byKind('discussion').reduce((sum, i) => sum + i.commentCount, 0)
+    md += `- **이슈**: 작성 ${byKind('opened').length}개 · 닫음 ${byKind('closed').length}개`
+    md += ` · 코멘트 ${issueComments}개 (${byKind('commented').length}개 이슈)\n`
+    md += `- **Discussions**: 코멘트 ${discussionComments}개 (${byKind('discussion').length}개)\n`
+  }
+  md += `- **활동 주차**: ${sortedWeeks.length}주\n`
+  if (lifecycleSections.length > 0) {
+    md += `- **PR 수명**: ${lifecycleSections.map(([heading, items]) => `${heading} ${items.length}개`).join(' · ')}\n`
+  }
+
+  // 카테고리 / 스코프별 PR 수
+  const countBy = (key) => {
+    const counts = {}
+    for (const pr of prs) {
+      if (pr[key]) counts[pr[key]] = (counts[pr[key]] || 0) + 1
+    }
+    return Object.entries(counts).sort((a, b) => b[1] - a[1])
+  }
+  const categoryCounts = countBy('category')
+  const scopeCounts = countBy('scope')
+  if (categoryCounts.length > 0) {
+    md += `- **카테고리**: ${categoryCounts.map(([c, n]) => `${formatCategory(c)} ${n}`).join(' · ')}\n`
+  }
+  if (scopeCounts.length > 0) {
+    const topScopes = scopeCounts.slice(0, 10).map(([scope, n]) => `${scope} ${n}`)
+    md += `- **스코프 (Top 10)**: ${topScopes.join(' · ')}\n`
+  }
+  md += '\n'
+
+  // PR 크기와 소요 시간 (--metrics 사용 시)
+  const measured = prs.filter((pr) => pr.metrics)
+  if (measured.length > 0) {
+    const metrics = measured.map((pr) => pr.metrics)
+    const additions = measured.reduce((sum, pr) => sum + (pr.additions || 0), 0)
+    const deletions = measured.reduce((sum, pr) => sum + (pr.deletions || 0), 0)
+    const sizeSummary = SIZE_BUCKETS.map(([size]) => `${size} ${metrics.filter((m) => m.size === size).length}`)
+    const reviewed = metrics.filter((m) => m.rounds > 0)
+    const avgRounds = reviewed.length > 0 ? reviewed.reduce((sum, m) => sum + m.rounds, 0) / reviewed.length : 0
+
+    md += `### 크기와 소요 시간\n\n`
+    md += `- **병합까지 걸린 시간**: ${formatDistribution(metrics.map((m) => m.mergeMs))}\n`
+    md += `- **첫 리뷰까지 걸린 시간**: ${formatDistribution(metrics.map((m) => m.firstReviewMs))}\n`
+    md += `- **평균 리뷰 라운드**: ${avgRounds.toFixed(1)}회\n`
+    md += `- **PR 크기**: ${sizeSummary.join(' · ')}\n`
+    md += `- **변경 라인**: +${additions.toLocaleString()} −${deletions.toLocaleString()}\n\n`
+
+    const largest = [...measured].sort((a, b) => b.metrics.lines - a.metrics.lines).slice(0, 5)
+    md += `#### 가장 큰 PR\n\n`
+    largest.forEach((pr, i) => {
+      md += `${i + 1}. **${mdLink(`${pr.base.repo.full_name}#${pr.number}`, pr.html_url)}** ${pr.title} `
+      md += `(${pr.metrics.size}, +${pr.additions} −${pr.deletions}, ${pr.changed_files} files)\n`
+    })
+    md += '\n'
+  }
+
+  md += `---\n\n`
+
+  // 카테고리별 보기 (--group-by=category)
+  if (GROUP_BY === 'category') {
+    md += `## 카테고리별 PR\n\n`
+
+    for (const [category] of categoryCounts) {
+      const categoryPRs = prs.filter((pr) => pr.category === category)
+      md += `### ${formatCategory(category)} (${categoryPRs.length})\n\n`
+
+      for (const pr of categoryPRs) {
+        const status = pr.merged_at ? '✅' : pr.state === 'closed' ? '❌' : '🟡'
+        const createdDate = new Date(pr.created_at).toLocaleDateString('ko-KR', { month: 'short', day: 'numeric' })
+        md += `- ${status} **${mdLink(`${pr.base.repo.full_name}#${pr.number}`, pr.html_url)}** ${pr.title} (${createdDate})\n`
+      }
+      md += '\n'
+    }
+
+    md += `---\n\n`
+  }
+
+  // 작업 영역 (--areas 사용 시)
+  if (prs.some((pr) => pr.files)) {
+    const { overall, quarters } = aggregateAreas(prs)
+    const excludedLines = prs.reduce((sum, pr) => sum + (pr.excludedLines || 0), 0)
+
+    md += `## Areas\n\n`
+    md += `> 변경 라인(추가 + 삭제) 기준: ${overall.total.toLocaleString()}줄`
+    if (excludedLines > 0) md += ` (경로 필터로 제외: ${excludedLines.toLocaleString()}줄)`
+    md += `\n\n`
+
+    md += `### 레포지토리\n\n`
+    md += formatAreaTable('레포지토리', overall.repos, overall.total)
+    md += `### 디렉터리 (Top 10)\n\n`
+    md += formatAreaTable('디렉터리', overall.dirs, overall.total, 10)
+    md += `### 언어 (Top 10)\n\n`
+    md += formatAreaTable('언어', overall.languages, overall.total, 10)
+
+    // 분기별로 가장 많이 작업한 영역
+    const top = (map, total) => {
+      const [first] = rankAreas(map)
+      return first ? `${first[0]} (${formatShare(first[1].lines, total)})` : '-'
+    }
+    md += `### 분기별 변화\n\n`
+    md += `| 분기 | 변경 라인 | 주요 레포지토리 | 주요 디렉터리 | 주요 언어 |\n`
+    md += `|------|------:|------|------|------|\n`
+    for (const quarter of Object.keys(quarters).sort()) {
+      const { total, repos, dirs, languages } = quarters[quarter]
+      md += `| Q${quarter} | ${total.toLocaleString()} | ${top(repos, total)} | ${top(dirs, total)} | ${top(languages, total)} |\n`
+    }
+    md += `\n---\n\n`
+  }
+
+  for (const weekKey of sortedWeeks) {
+    const { week, repos, reviews: weekReviews, issues: weekIssues } = weeklyData[weekKey]
+    const weekRange = getWeekRange(year, week)
+
+    md += `## ${weekKey} (${weekRange})\n\n`
+
+    for (const repoName of Object.keys(repos).sort()) {
+      const repoPRs = repos[repoName]
+      md += `### ${repoName}\n\n`
+
+      for (const pr of repoPRs) {
+        const status = pr.merged_at ? '✅ Merged' : pr.state === 'closed' ? '❌ Closed' : '🟡 Open'
+        const createdDate = new Date(pr.created_at).toLocaleDateString('ko-KR', {
+          month: 'short',
+          day: 'numeric',
+        })
+
+        md += `- **${mdLink(`#${pr.number}`, pr.html_url)}** \`${formatCategory(pr.category)}\` ${pr.title}\n`
+        md += `  - ${status} | ${createdDate} 생성`
+
+        if (pr.merged_at) {
+          const mergedDate = new Date(pr.merged_at).toLocaleDateString('ko-KR', {
+            month: 'short',
+            day: 'numeric',
+          })
+          md += ` | ${mergedDate} 병합`
+        }
+
+        md += `\n`
+
+        if (pr.metrics) {
+          const { size, firstReviewMs, mergeMs, rounds } = pr.metrics
+          md += `  - 📏 ${size} (+${pr.additions} −${pr.deletions}, ${pr.changed_files} files, ${pr.commits} commits)`
+          md += ` | 첫 리뷰 ${formatDuration(firstReviewMs)}`
+          if (pr.merged_at) md += ` | 병합 ${formatDuration(mergeMs)}`
+          md += ` | 리뷰 ${rounds}라운드\n`
+        }
 
         // PR body가 있으면 첫 줄만 표시
         if (pr.body) {
@@ -370,129 +2164,362 @@ function generateMarkdown(prs, org, year) {
       md += '\n'
     }
 
+    if (weekReviews.length > 0) {
+      md += `### 👀 Reviewed (${weekReviews.length})\n\n`
+
+      for (const review of weekReviews) {
+        const reviewedDate = new Date(review.reviewed_at).toLocaleDateString('ko-KR', {
+          month: 'short',
+          day: 'numeric',
+        })
+
+        md += `- **[${review.repoName}#${review.number}](${review.html_url})** ${review.title}`
+        md += `${review.author ? ` (@${review.author})` : ''}\n`
+        md += `  - ${REVIEW_STATES[review.state]} | 리뷰 ${review.reviewCount}회 · 코멘트 ${review.commentCount}개`
+        md += ` | ${reviewedDate} 첫 리뷰\n`
+      }
+
+      md += '\n'
+    }
+
+    for (const [kind, heading] of Object.entries(ISSUE_SECTIONS)) {
+      const items = weekIssues.filter((i) => i.kind === kind)
+      if (items.length === 0) continue
+
+      md += `### ${heading} (${items.length})\n\n`
+      for (const item of items) {
+        const date = new Date(item.date).toLocaleDateString('ko-KR', { month: 'short', day: 'numeric' })
+        md += `- **[${item.repoName}#${item.number}](${item.html_url})** ${item.title}\n`
+        md += `  - ${date}`
+        if (kind === 'opened') md += ` 작성 | ${item.state === 'open' ? '🟡 Open' : '✔️ Closed'}`
+        if (kind === 'closed') md += ` 닫음`
+        if (item.commentCount > 0) md += ` | 코멘트 ${item.commentCount}개`
+        md += `\n`
+      }
+      md += '\n'
+    }
+
     md += `---\n\n`
   }
 
-  return md
-}
+  // 작년에서 넘어온 PR / 연말까지 열려 있는 PR / 병합 없이 닫힌 PR
+  for (const [heading, items] of lifecycleSections) {
+    md += `## ${heading} (${items.length})\n\n`
 
-// 메인
-async function main() {
-  console.log('=== GitHub PR Activity Fetcher ===\n')
-  if (API_BASE !== 'https://api.github.com') {
-    console.log(`API URL: ${API_BASE}`)
+    for (const pr of items) {
+      const status = pr.merged_at ? '✅ Merged' : pr.state === 'closed' ? '❌ Closed' : '🟡 Open'
+      const createdDate = new Date(pr.created_at).toLocaleDateString('ko-KR')
+      md += `- **${mdLink(`${pr.base.repo.full_name}#${pr.number}`, pr.html_url)}** ${pr.title}\n`
+      md += `  - ${status} | ${createdDate} 생성 | ${getPRAgeDays(pr, year)}일\n`
+    }
+    md += '\n'
+  }
+  if (lifecycleSections.length > 0) {
+    md += `---\n\n`
   }
-  console.log(`Organization: ${ORG}`)
-  console.log(`Emails: ${EMAILS.join(', ')}`)
-  console.log(`Year: ${YEAR}`)
-  console.log(`Concurrency: ${CONCURRENCY}`)
 
-  timer.begin()
+  // PR 없이 푸시한 커밋 (레포 -> 주차)
+  if (directCommits.length > 0) {
+    md += `## Direct commits\n\n`
+    md += `> PR 없이 기본 브랜치 등에 직접 푸시한 커밋: ${directCommits.length}개\n\n`
+
+    const byRepo = {}
+    for (const commit of directCommits) {
+      const weekKey = `${year}-W${getWeekNumber(new Date(commit.date)).toString().padStart(2, '0')}`
+      byRepo[commit.repoName] = byRepo[commit.repoName] || {}
+      byRepo[commit.repoName][weekKey] = byRepo[commit.repoName][weekKey] || []
+      byRepo[commit.repoName][weekKey].push(commit)
+    }
 
-  try {
-    const prMap = new Map() // PR 중복 제거용
-    const usernames = new Set()
+    for (const repoName of Object.keys(byRepo).sort()) {
+      md += `### ${repoName}\n\n`
 
-    // 1. Search Commits API로 이메일 기반 커밋 검색 (전체 org 한번에)
-    console.log(`\nSearching commits by email using Search API...`)
+      for (const weekKey of Object.keys(byRepo[repoName]).sort()) {
+        const week = parseInt(weekKey.split('-W')[1], 10)
+        md += `#### ${weekKey} (${getWeekRange(year, week)})\n\n`
 
-    for (const email of EMAILS) {
-      console.log(`\nSearching: ${email}`)
-      const commits = await searchCommitsByEmail(ORG, email, YEAR)
-      console.log(`Found ${commits.length} commits`)
-
-      // 커밋에서 username 수집
-      for (const commit of commits) {
-        if (commit.author?.login) {
-          usernames.add(commit.author.login)
+        for (const commit of byRepo[repoName][weekKey]) {
+          const date = new Date(commit.date).toLocaleDateString('ko-KR', { month: 'short', day: 'numeric' })
+          md += `- ${mdLink(`\`${commit.sha.substring(0, 7)}\``, commit.html_url)} ${commit.message} (${date})\n`
         }
+        md += '\n'
       }
+    }
 
-      // 각 커밋이 속한 PR 조회
-      let processed = 0
-      await runWithConcurrency(commits, CONCURRENCY, async (commit) => {
-        const repoName = commit.repository?.name || commit.url?.match(/repos\/[^/]+\/([^/]+)/)?.[1]
-        if (repoName) {
-          const prs = await getPRsForCommit(repoName, commit.sha)
-          for (const pr of prs) {
-            const createdAt = new Date(pr.created_at)
-            if (createdAt.getFullYear() === YEAR) {
-              prMap.set(pr.id, pr)
-              // pr.user는 PR 작성자이므로 username 수집에서 제외
-              // (다른 사람 PR에 내 커밋이 포함된 경우 잘못된 username이 추가됨)
-            }
-          }
+    md += `---\n\n`
+  }
+
+  return md
+}
+
+// GitHub: 커밋/Author 검색으로 PR, (--reviews) 리뷰, (--issues) 이슈 활동 수집
+async function collectGithubActivity() {
+  const prMap = new Map() // PR 중복 제거용
+  const directCommits = new Map() // PR 없는 커밋 (sha 기준 중복 제거)
+  const usernames = new Set()
+
+  // 1. Search Commits API로 이메일 기반 커밋 검색 (org마다 한번에)
+  console.log(`\nSearching commits by email using Search API...`)
+
+  const commitsByEmail = new Map()
+  for (const email of EMAILS) {
+    console.log(`\nSearching: ${email}`)
+    const commits = []
+    for (const org of ORGS) {
+      commits.push(...(await searchCommitsByEmail(`org:${org}`, email, YEAR)))
+    }
+    commitsByEmail.set(email, commits)
+
+    // 커밋에서 username 수집
+    for (const commit of commits) {
+      if (commit.author?.login) {
+        usernames.add(commit.author.login)
+      }
+    }
+  }
+
+  // 개인 레포는 username을 먼저 확인한 뒤 user:<username>으로 검색
+  // (범위 없이 검색하면 다른 org 커밋까지 모두 가져와 검색 한도와 요청 수를 낭비)
+  if (INCLUDE_PERSONAL) {
+    for (const username of await searchUsernamesByEmail(EMAILS)) {
+      usernames.add(username)
+    }
+    if (usernames.size === 0) {
+      const message = `No GitHub user found for ${EMAILS.join(', ')} (only public emails are searchable)`
+      if (ORGS.length === 0) throw new Error(message)
+      console.log(`\n⚠️  ${message}, skipping personal repos`)
+    }
+    for (const email of EMAILS) {
+      for (const username of usernames) {
+        commitsByEmail.get(email).push(...(await searchCommitsByEmail(`user:${username}`, email, YEAR)))
+      }
+    }
+  }
+
+  for (const [email, commits] of commitsByEmail) {
+    console.log(`\n${email}: found ${commits.length} commits`)
+
+    // pr.user는 PR 작성자이므로 username 수집에서 제외
+    // (다른 사람 PR에 내 커밋이 포함된 경우 잘못된 username이 추가됨)
+    const addCommitPRs = (commit, prs) => {
+      if (!prs) return
+      if (prs.length === 0) {
+        directCommits.set(commit.sha, toDirectCommit(commit))
+      }
+      for (const pr of prs) {
+        if (isAliveInYear(pr, YEAR)) {
+          prMap.set(pr.id, pr)
         }
-        processed++
-        process.stdout.write(`\rFetching PRs: ${processed}/${commits.length} commits | Found ${prMap.size} PRs`)
-      })
-      console.log('')
+      }
     }
 
-    timer.lap(`Collected ${prMap.size} PRs from commits`)
+    // 각 커밋이 속한 PR 조회
+    if (API_MODE === 'graphql') {
+      const commitPRs = await getPRsForCommitsGraphql(commits)
+      commits.forEach((commit, i) => addCommitPRs(commit, commitPRs[i]))
+      continue
+    }
 
-    // 2. author로도 직접 PR 검색 (커밋 기반 검색을 보완)
-    console.log(`\nSearching PRs by author...`)
+    let processed = 0
+    await runWithConcurrency(commits, CONCURRENCY, async (commit) => {
+      const repo = getCommitRepoFullName(commit)
+      if (repo) {
+        addCommitPRs(commit, await getPRsForCommit(repo, commit.sha))
+      }
+      processed++
+      process.stdout.write(`\rFetching PRs: ${processed}/${commits.length} commits | Found ${prMap.size} PRs`)
+    })
+    console.log('')
+  }
 
-    if (usernames.size > 0) {
-      console.log(`Found usernames: ${[...usernames].join(', ')}`)
+  timer.lap(`Collected ${prMap.size} PRs from commits (${directCommits.size} commits without PR)`)
 
-      // Search API로 해당 사용자의 PR 검색
-      for (const username of usernames) {
-        try {
-          const searchQuery = `type:pr author:${username} org:${ORG} created:${YEAR}-01-01..${YEAR}-12-31`
-          const searchResults = await githubApiAll(
-            `/search/issues?q=${encodeURIComponent(searchQuery)}&per_page=100`,
-            `search/${username}`
-          )
-
-          const newPRs = searchResults.filter((item) => item.pull_request && !prMap.has(item.id))
-          console.log(`\n@${username}: ${searchResults.length} PRs found, ${newPRs.length} new`)
-
-          let fetched = 0
-          for (const item of newPRs) {
-            try {
-              const { data: pr } = await githubApi(item.pull_request.url, {}, `PR #${item.number}`)
-              prMap.set(pr.id, pr)
-            } catch (e) {
-              // PR 상세 조회 실패시 기본 정보 사용
-              prMap.set(item.id, {
-                ...item,
-                base: { repo: { name: item.repository_url.split('/').pop() } },
-              })
-            }
-            fetched++
-            process.stdout.write(`\rFetching PR details: ${fetched}/${newPRs.length}`)
+  // 2. author로도 직접 PR 검색 (커밋 기반 검색을 보완)
+  console.log(`\nSearching PRs by author...`)
+
+  if (usernames.size > 0) {
+    console.log(`Found usernames: ${[...usernames].join(', ')}`)
+
+    // Search API로 해당 사용자의 PR 검색 (scope마다)
+    const searches = [...usernames].flatMap((username) =>
+      getSearchScopes(usernames).map((scope) => ({ username, scope }))
+    )
+    for (const { username, scope } of searches) {
+      try {
+        // 작년에 생성돼 올해 병합/닫힌 PR도 찾기 위해 생성일 대신 업데이트 날짜로 검색
+        const searchResults = await searchByDateRange(
+          '/search/issues',
+          (range) => `type:pr author:${username} ${scope} updated:${range}`,
+          getYearRange(YEAR)[0],
+          new Date(),
+          `search/${username} ${scope}`
+        )
+
+        const newPRs = searchResults.filter(
+          (item) => item.pull_request && !prMap.has(item.id) && isAliveInYear(item, YEAR)
+        )
+        console.log(`\n@${username} (${scope}): ${searchResults.length} PRs found, ${newPRs.length} new`)
+
+        if (API_MODE === 'graphql') {
+          const details = await getPRDetailsGraphql(newPRs)
+          newPRs.forEach((item, i) => {
+            const pr = details[i] || searchItemToPR(item)
+            prMap.set(pr.id, pr)
+          })
+          continue
+        }
+
+        let fetched = 0
+        for (const item of newPRs) {
+          try {
+            const { data: pr } = await githubApi(item.pull_request.url, {}, `PR #${item.number}`)
+            prMap.set(pr.id, pr)
+          } catch (e) {
+            prMap.set(item.id, searchItemToPR(item))
           }
-          if (newPRs.length > 0) console.log('')
-        } catch (e) {
-          console.log(`\n⚠️  Search for ${username} failed: ${e.message}`)
+          fetched++
+          process.stdout.write(`\rFetching PR details: ${fetched}/${newPRs.length}`)
         }
+        if (newPRs.length > 0) console.log('')
+      } catch (e) {
+        console.log(`\n⚠️  Search for ${username} ${scope} failed: ${e.message}`)
       }
+    }
+  } else {
+    console.log('No usernames found from commits')
+  }
+
+  timer.lap(`Total ${prMap.size} unique PRs found`)
+
+  // 3. 다른 사람 PR에 남긴 리뷰 조회
+  let reviews
+  if (REVIEWS) {
+    console.log(`\nSearching reviewed PRs...`)
+    if (usernames.size > 0) {
+      reviews = await fetchReviews(usernames, getSearchScopes(usernames), YEAR)
+      timer.lap(`Found ${reviews.length} reviewed PRs`)
     } else {
-      console.log('No usernames found from commits')
+      reviews = []
+      console.log('No usernames found from commits, skipping reviews')
     }
+  }
 
-    timer.lap(`Total ${prMap.size} unique PRs found`)
+  // 이슈와 Discussion 활동 조회
+  let issues
+  if (ISSUES) {
+    console.log(`\nSearching issues and discussions...`)
+    if (usernames.size > 0) {
+      issues = await fetchIssueActivity(usernames, getSearchScopes(usernames), YEAR)
+      timer.lap(`Found ${issues.length} issue and discussion activities`)
+    } else {
+      issues = []
+      console.log('No usernames found from commits, skipping issues')
+    }
+  }
 
-    // 4. PR 정렬 (생성일 기준)
-    const prs = Array.from(prMap.values()).sort(
-      (a, b) => new Date(a.created_at) - new Date(b.created_at)
-    )
+  return { prMap, directCommits, reviews, issues }
+}
+
+// 메인
+async function main() {
+  console.log('=== GitHub PR Activity Fetcher ===\n')
+  if (IS_LOCAL) {
+    console.log(`Local repositories: ${LOCAL_REPOS.join(', ')}`)
+  } else if (IS_GITLAB) {
+    console.log(`Provider: GitLab`)
+  }
+  if (API_BASE !== DEFAULT_API_URL && !IS_LOCAL) {
+    console.log(`API URL: ${API_BASE}`)
+  }
+  console.log(`Organizations: ${ORGS.join(', ') || '-'}${INCLUDE_PERSONAL ? ' (+ personal repos)' : ''}`)
+  console.log(`Emails: ${EMAILS.join(', ')}`)
+  console.log(`Year: ${YEAR}`)
+  console.log(`Concurrency: ${CONCURRENCY}`)
+
+  // GitLab, 로컬 clone에서는 GitHub API 전용 옵션 무시
+  const unsupported = USES_GITHUB_API
+    ? []
+    : Object.entries({
+        '--api=graphql': API_MODE === 'graphql',
+        '--include-personal': INCLUDE_PERSONAL,
+        '--reviews': REVIEWS && IS_LOCAL,
+        '--issues': ISSUES,
+        '--metrics': METRICS,
+        '--areas': AREAS,
+      })
+        .filter(([, enabled]) => enabled)
+        .map(([option]) => option)
+  if (unsupported.length > 0) {
+    const source = IS_LOCAL ? '--local-repos' : '--provider=gitlab'
+    console.log(`\n⚠️  Not supported with ${source}, ignoring: ${unsupported.join(', ')}`)
+  }
 
-    if (prs.length === 0) {
+  timer.begin()
+
+  try {
+    // 매핑 파일 오류는 API 호출 전에 확인
+    const categoryMap = loadCategoryMap(CATEGORY_MAP)
+
+    const { prMap, directCommits, reviews, issues } = IS_LOCAL
+      ? await collectLocalActivity()
+      : IS_GITLAB
+        ? await collectGitlabActivity()
+        : await collectGithubActivity()
+
+    // 4. 집계 기준(--attribute-by)에 따라 해당 연도의 PR 선택 후 정렬
+    const allPRs = Array.from(prMap.values())
+    for (const pr of allPRs) {
+      pr.attributed_at = getAttributionDate(pr, YEAR)
+    }
+    const prs = allPRs
+      .filter((pr) => pr.attributed_at)
+      .sort((a, b) => new Date(a.attributed_at) - new Date(b.attributed_at))
+    const lifecycle = getLifecycle(allPRs, YEAR)
+
+    if (prs.length === 0 && allPRs.length === 0 && directCommits.size === 0 && !reviews?.length && !issues?.length) {
       console.log('\nNo PRs found.')
       timer.end()
       return
     }
 
+    // PR 카테고리 분류
+    for (const pr of allPRs) {
+      Object.assign(pr, classifyPR(pr, categoryMap))
+    }
+
+    // PR 크기와 소요 시간
+    if (METRICS && USES_GITHUB_API) {
+      timer.lap('Fetching PR metrics...')
+      await attachMetrics(prs)
+    }
+
+    // 작업 영역 (변경 파일)
+    if (AREAS && USES_GITHUB_API) {
+      timer.lap('Fetching PR files...')
+      await attachFiles(prs)
+    }
+
     // 5. 마크다운 생성 및 저장
     timer.lap('Generating markdown...')
-    const markdown = generateMarkdown(prs, ORG, YEAR)
-    const outputPath = `github-prs-${ORG}-${YEAR}.md`
+    const personal = INCLUDE_PERSONAL && USES_GITHUB_API
+    const title = [...ORGS, ...(personal ? ['개인 레포'] : [])].join(', ') || '로컬 레포'
+    const markdown = generateMarkdown(prs, title, YEAR, {
+      reviews,
+      issues,
+      lifecycle,
+      directCommits: [...directCommits.values()].sort((a, b) => new Date(a.date) - new Date(b.date)),
+    })
+    const owners = [...ORGS, ...(personal ? ['personal'] : [])].join('-') || 'local'
+    const outputPath = `${PROVIDER}-prs-${owners}-${YEAR}.md`
 
     fs.writeFileSync(outputPath, markdown, 'utf8')
     timer.lap(`Saved to: ${outputPath}`)
+
+    if (API_MODE === 'graphql' && USES_GITHUB_API) {
+      const { rest, graphql, replaced } = requestStats
+      console.log(`\nRequests: REST ${rest} + GraphQL ${graphql}`)
+      console.log(`GraphQL replaced ${replaced} REST requests (saved ${replaced - graphql})`)
+    }
     timer.end()
   } catch (error) {
     console.error('\nError:', error.message)
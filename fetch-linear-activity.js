@@ -7,6 +7,7 @@
  *
  * 사용법:
  * node fetch-linear-activity.js --token=lin_api_xxx --year=2025
+ * node fetch-linear-activity.js --token=lin_api_xxx --year=2025 --user=joon@daangn.com --user="Kim Lee" --team-report
  *
  * Linear API Key 생성: https://linear.app/settings/api
  */
@@ -20,8 +21,21 @@ function getArg(name) {
   return arg ? arg.split('=').slice(1).join('=') : undefined
 }
 
+// 여러 번 지정할 수 있는 인자 (--user=a --user=b)
+function getArgs(name) {
+  return process.argv.filter((a) => a.startsWith(`--${name}=`)).map((a) => a.split('=').slice(1).join('='))
+}
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`)
+}
+
 const TOKEN = process.env.LINEAR_TOKEN || getArg('token')
 const YEAR = parseInt(process.env.YEAR || getArg('year'), 10)
+// 조회할 사용자 (이메일, 이름, ID). 없으면 API Key 소유자
+const USERS = process.env.LINEAR_USERS ? process.env.LINEAR_USERS.split(',').filter(Boolean) : getArgs('user')
+// 사용자별 요약을 모은 팀 파일 생성 여부
+const TEAM_REPORT = process.env.TEAM_REPORT === 'true' || hasFlag('team-report')
 
 // 입력 검증
 if (!TOKEN || !YEAR) {
@@ -31,11 +45,16 @@ Usage: node fetch-linear-activity.js --token=<linear-api-key> --year=<year>
 Options:
   --token    Linear API Key (env: LINEAR_TOKEN)
   --year     Year to search (env: YEAR)
+  --user     User email, name or ID; repeat for several users (default: API key owner, env: LINEAR_USERS comma-separated)
+  --team-report  Also write a team file with one summary row per user (env: TEAM_REPORT=true)
 
 API Key 생성: https://linear.app/settings/api
 
 Example:
   node fetch-linear-activity.js --token=lin_api_xxx --year=2025
+
+  # 팀원별 파일과 팀 요약 파일
+  node fetch-linear-activity.js --token=lin_api_xxx --year=2025 --user=joon@daangn.com --user="Kim Lee" --team-report
 `)
   process.exit(1)
 }
@@ -140,6 +159,53 @@ async function getCurrentUser() {
   return data.viewer
 }
 
+// ID, 이메일, 이름, 표시 이름이 일치하는 사용자 조회 (대소문자 무시, 비활성화된 사용자 포함)
+async function findUsers(query) {
+  const filters = [
+    { email: { eqIgnoreCase: query } },
+    { name: { eqIgnoreCase: query } },
+    { displayName: { eqIgnoreCase: query } },
+  ]
+  // ID 비교는 UUID 형식일 때만 (다른 값은 API가 거부)
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(query)) {
+    filters.push({ id: { eq: query } })
+  }
+
+  const data = await linearApi(
+    `query($filter: UserFilter) {
+      users(filter: $filter, first: 20, includeDisabled: true) {
+        nodes { id name displayName email }
+      }
+    }`,
+    { filter: { or: filters } },
+    `users ${query}`
+  )
+  return data.users.nodes
+}
+
+// --user 값(ID, 이메일, 이름, 표시 이름)으로 사용자 찾기 (같은 사용자를 여러 값으로 지정하면 한 번만)
+async function resolveUsers(queries) {
+  const users = new Map()
+
+  for (const query of queries) {
+    const matches = await findUsers(query)
+
+    if (matches.length === 0) {
+      throw new Error(`User not found: ${query}`)
+    }
+    if (matches.length > 1) {
+      throw new Error(`Multiple users match "${query}": ${matches.map((u) => `${u.name} (${u.email})`).join(', ')}`)
+    }
+    if (users.has(matches[0].id)) {
+      console.log(`⚠️  "${query}" is the same user as another --user value, skipping`)
+      continue
+    }
+    users.set(matches[0].id, matches[0])
+  }
+
+  return [...users.values()]
+}
+
 // 내가 생성한 이슈 조회
 async function getCreatedIssues(userId, year) {
   const issues = []
@@ -185,7 +251,73 @@ async function getCreatedIssues(userId, year) {
   return issues
 }
 
+// 이슈 변경 이력 (상태 변경 외의 이력은 fromState/toState가 비어 있음)
+const HISTORY_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    createdAt
+    fromState { name type position }
+    toState { name type position }
+  }`
+
+// 한 요청에 alias로 묶을 이슈 수와 이슈당 첫 페이지 이력 수
+// 이슈 목록 쿼리(이슈 50개)에 중첩하면 쿼리 복잡도가 커지므로 이력만 작게 묶어 따로 조회
+const HISTORY_BATCH_SIZE = 20
+const HISTORY_FIRST_PAGE = 50
+
+// 이슈들의 변경 이력 조회 (alias로 묶어 조회하고, 첫 페이지에 다 들어오지 않은 이슈만 이어서 조회)
+async function getIssueHistories(issues) {
+  const histories = new Map()
+
+  for (let i = 0; i < issues.length; i += HISTORY_BATCH_SIZE) {
+    const batch = issues.slice(i, i + HISTORY_BATCH_SIZE)
+    const params = batch.map((_, j) => `$id${j}: String!`).join(', ')
+    const fields = batch
+      .map((_, j) => `i${j}: issue(id: $id${j}) { history(first: ${HISTORY_FIRST_PAGE}) { ${HISTORY_FIELDS} } }`)
+      .join('\n')
+    const data = await linearApi(
+      `query(${params}) {\n${fields}\n}`,
+      Object.fromEntries(batch.map((issue, j) => [`id${j}`, issue.id])),
+      `history ${batch[0].identifier}..${batch[batch.length - 1].identifier}`
+    )
+
+    for (const [j, issue] of batch.entries()) {
+      const { nodes, pageInfo } = data[`i${j}`].history
+      const rest = pageInfo.hasNextPage ? await getRemainingHistory(issue, pageInfo.endCursor) : []
+      histories.set(issue.id, [...nodes, ...rest])
+    }
+    process.stdout.write(`\rFetched history ${histories.size}/${issues.length}...`)
+  }
+  if (issues.length > 0) console.log('')
+
+  return histories
+}
+
+// 이슈 하나의 나머지 이력 조회 (cursor 다음부터)
+async function getRemainingHistory(issue, cursor) {
+  const history = []
+
+  while (cursor) {
+    const data = await linearApi(
+      `query($id: String!, $after: String) {
+        issue(id: $id) {
+          history(first: 100, after: $after) { ${HISTORY_FIELDS} }
+        }
+      }`,
+      { id: issue.id, after: cursor },
+      `history ${issue.identifier}`
+    )
+
+    const { nodes, pageInfo } = data.issue.history
+    history.push(...nodes)
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null
+  }
+
+  return history
+}
+
 // 내가 완료한 이슈 조회 (assignee가 나이고 completedAt이 있는 것)
+// 리드/사이클 타임 계산을 위해 이슈마다 상태 변경 이력도 조회
 async function getCompletedIssues(userId, year) {
   const issues = []
   let cursor = null
@@ -202,14 +334,14 @@ async function getCompletedIssues(userId, year) {
             assignee: { id: { eq: $userId } }
             completedAt: { gte: $startDate, lt: $endDate }
           }
-          first: 100
+          first: 50
           after: $after
           orderBy: updatedAt
         ) {
           pageInfo { hasNextPage endCursor }
           nodes {
-            id identifier title state { name }
-            createdAt completedAt
+            id identifier title state { name type position }
+            createdAt startedAt completedAt
             team { name key }
             project { name }
             labels { nodes { name } }
@@ -227,9 +359,73 @@ async function getCompletedIssues(userId, year) {
   } while (cursor)
 
   console.log('')
+
+  const histories = await getIssueHistories(issues)
+  for (const issue of issues) {
+    issue.flow = computeIssueFlow(issue, histories.get(issue.id))
+  }
+
   return issues
 }
 
+// 워크플로 상태 종류의 진행 순서 (완료/취소가 마지막)
+const STATE_TYPE_ORDER = { triage: 0, backlog: 1, unstarted: 2, started: 3, completed: 4, canceled: 4 }
+
+function isClosedState(state) {
+  return state.type === 'completed' || state.type === 'canceled'
+}
+
+// 상태 이력으로 시작일, 상태별 체류 시간, 재오픈/되돌림 횟수, 리드/사이클 타임 계산
+function computeIssueFlow(issue, history) {
+  const transitions = history.filter((h) => h.toState).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  const completedAt = new Date(issue.completedAt).getTime()
+
+  const timeInState = {}
+  const addTime = (state, from, to) => {
+    if (state && to > from) timeInState[state.name] = (timeInState[state.name] || 0) + (to - from)
+  }
+
+  // 첫 변경 전 상태를 알 수 없으면(생성 시점의 이력) 생성부터 첫 변경까지는 어느 상태에도 넣지 않음
+  // 변경 이력이 없으면 생성부터 지금 상태였던 것
+  let state = transitions.length > 0 ? transitions[0].fromState : issue.state
+  let since = new Date(issue.createdAt).getTime()
+  let reopenCount = 0
+  let bounceCount = 0
+
+  for (const { createdAt, fromState, toState } of transitions) {
+    // 마지막 완료 이후의 변경은 체류 시간에 넣지 않음
+    const at = Math.min(new Date(createdAt).getTime(), completedAt)
+    addTime(state, since, at)
+
+    if (fromState && isClosedState(fromState) && !isClosedState(toState)) {
+      reopenCount++
+    } else if (fromState?.type === 'started') {
+      // 리뷰 -> 진행 중처럼 진행 중 상태에서 앞 단계로 돌아간 경우
+      const fromOrder = STATE_TYPE_ORDER[fromState.type]
+      const toOrder = STATE_TYPE_ORDER[toState.type]
+      if (toOrder < fromOrder || (toState.type === 'started' && toState.position < fromState.position)) {
+        bounceCount++
+      }
+    }
+
+    state = toState
+    since = at
+  }
+  addTime(state, since, completedAt)
+
+  const firstStarted = transitions.find((t) => t.toState.type === 'started')
+  const startedAt = issue.startedAt || firstStarted?.createdAt || null
+
+  return {
+    startedAt,
+    leadMs: completedAt - new Date(issue.createdAt).getTime(),
+    cycleMs: startedAt ? completedAt - new Date(startedAt).getTime() : null,
+    timeInState,
+    reopenCount,
+    bounceCount,
+  }
+}
+
 // 내가 작성한 댓글 조회
 async function getComments(userId, year) {
   const comments = []
@@ -272,6 +468,52 @@ async function getComments(userId, year) {
   return comments
 }
 
+// 정렬된 값의 백분위수 (nearest-rank)
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null
+  const index = Math.max(0, Math.ceil((p / 100) * sortedValues.length) - 1)
+  return sortedValues[index]
+}
+
+// 소요 시간 표시 (분/시간/일)
+function formatDuration(ms) {
+  if (ms === null) return '-'
+  const hours = ms / (60 * 60 * 1000)
+  if (hours < 1) return `${Math.round(hours * 60)}분`
+  if (hours < 48) return `${hours.toFixed(1)}시간`
+  return `${(hours / 24).toFixed(1)}일`
+}
+
+// 중앙값 · p90 표시
+function formatMedianP90(values) {
+  const sorted = values.filter((v) => v !== null).sort((a, b) => a - b)
+  if (sorted.length === 0) return '-'
+  return `${formatDuration(percentile(sorted, 50))} · ${formatDuration(percentile(sorted, 90))}`
+}
+
+// 팀별 리드/사이클 타임 표
+function formatFlowTable(completedIssues) {
+  const teams = {}
+  for (const issue of completedIssues) {
+    const team = issue.team?.name || '-'
+    if (!teams[team]) teams[team] = []
+    teams[team].push(issue.flow)
+  }
+
+  const rows = Object.entries(teams).sort((a, b) => b[1].length - a[1].length)
+  if (rows.length > 1) rows.push(['전체', completedIssues.map((i) => i.flow)])
+
+  let md = `| 팀 | 완료 | 리드 타임 (중앙값 · p90) | 사이클 타임 (중앙값 · p90) | 재오픈 | 되돌림 |\n`
+  md += `|----|-----:|------|------|-----:|-----:|\n`
+  for (const [team, flows] of rows) {
+    const reopens = flows.reduce((sum, f) => sum + f.reopenCount, 0)
+    const bounces = flows.reduce((sum, f) => sum + f.bounceCount, 0)
+    md += `| ${team} | ${flows.length} | ${formatMedianP90(flows.map((f) => f.leadMs))}`
+    md += ` | ${formatMedianP90(flows.map((f) => f.cycleMs))} | ${reopens} | ${bounces} |\n`
+  }
+  return md + '\n'
+}
+
 // 주차 계산
 function getWeekNumber(date) {
   const d = new Date(date)
@@ -353,6 +595,13 @@ function generateMarkdown(user, createdIssues, completedIssues, comments, year)
   md += `- **작성한 댓글**: ${comments.length}개\n`
   md += `- **활동 팀**: ${teamSet.size > 0 ? [...teamSet].join(', ') : '-'}\n`
   md += `- **활동 주차**: ${Object.keys(weeklyData).length}주\n\n`
+
+  // 리드 타임: 생성 -> 완료, 사이클 타임: 시작 -> 완료
+  if (completedIssues.length > 0) {
+    md += `### 리드 타임과 사이클 타임\n\n`
+    md += formatFlowTable(completedIssues)
+  }
+
   md += `---\n\n`
 
   const sortedWeeks = Object.keys(weeklyData).sort()
@@ -396,6 +645,16 @@ function generateMarkdown(user, createdIssues, completedIssues, comments, year)
         md += `  - ${teamKey ? `[${teamKey}]` : ''} ${completedDate} 완료`
         if (issue.project?.name) md += ` | 프로젝트: ${issue.project.name}`
         md += `\n`
+
+        if (issue.flow) {
+          const { leadMs, cycleMs, timeInState, reopenCount, bounceCount } = issue.flow
+          const states = Object.entries(timeInState).map(([name, ms]) => `${name} ${formatDuration(ms)}`)
+          md += `  - ⏱️ 리드 ${formatDuration(leadMs)} · 사이클 ${formatDuration(cycleMs)}`
+          if (states.length > 0) md += ` | ${states.join(' · ')}`
+          if (reopenCount > 0) md += ` | 재오픈 ${reopenCount}회`
+          if (bounceCount > 0) md += ` | 되돌림 ${bounceCount}회`
+          md += `\n`
+        }
       }
       md += '\n'
     }
@@ -421,6 +680,39 @@ function generateMarkdown(user, createdIssues, completedIssues, comments, year)
   return md
 }
 
+// 팀원별 요약 한 줄씩 모은 팀 파일
+function generateTeamMarkdown(reports, year) {
+  let md = `# ${year}년 팀 Linear 활동\n\n`
+  md += `> 대상: ${reports.map((r) => r.user.name).join(', ')}\n`
+  md += `> 생성일: ${new Date().toLocaleDateString('ko-KR')}\n\n`
+  md += `---\n\n`
+
+  md += `## 요약\n\n`
+  md += `| 이름 | 생성 | 완료 | 댓글 | 활동 주차 | 리드 타임 (중앙값 · p90) | 사이클 타임 (중앙값 · p90) |\n`
+  md += `|------|------|------|------|-----------|--------------------------|----------------------------|\n`
+
+  for (const { user, createdIssues, completedIssues, comments, outputPath } of reports) {
+    const weeks = new Set([
+      ...createdIssues.map((i) => getWeekNumber(new Date(i.createdAt))),
+      ...completedIssues.map((i) => getWeekNumber(new Date(i.completedAt))),
+      ...comments.map((c) => getWeekNumber(new Date(c.createdAt))),
+    ])
+    const flows = completedIssues.map((i) => i.flow)
+    md += `| [${user.name}](${outputPath}) | ${createdIssues.length} | ${completedIssues.length} | ${comments.length} | ${weeks.size}주 | ${formatMedianP90(flows.map((f) => f.leadMs))} | ${formatMedianP90(flows.map((f) => f.cycleMs))} |\n`
+  }
+
+  const total = (key) => reports.reduce((sum, r) => sum + r[key].length, 0)
+  md += `| **합계** | ${total('createdIssues')} | ${total('completedIssues')} | ${total('comments')} | - | - | - |\n`
+
+  return md
+}
+
+// 파일명에 쓸 사용자 이름 (영문이 없으면 이메일 앞부분)
+function getSafeName(user) {
+  const safeName = user.name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')
+  return safeName.replace(/-/g, '') ? safeName : user.email.split('@')[0]
+}
+
 // 메인
 async function main() {
   console.log('=== Linear Activity Fetcher ===\n')
@@ -429,32 +721,49 @@ async function main() {
   timer.begin()
 
   try {
-    // 1. 현재 사용자 정보 조회
-    const user = await getCurrentUser()
-    console.log(`User: ${user.name} (${user.email})`)
-    timer.lap('User info fetched')
-
-    // 2. 생성한 이슈 조회
-    const createdIssues = await getCreatedIssues(user.id, YEAR)
-    timer.lap(`Fetched ${createdIssues.length} created issues`)
-
-    // 3. 완료한 이슈 조회
-    const completedIssues = await getCompletedIssues(user.id, YEAR)
-    timer.lap(`Fetched ${completedIssues.length} completed issues`)
+    // 1. 사용자 정보 조회 (--user가 없으면 API Key 소유자)
+    const users = USERS.length > 0 ? await resolveUsers(USERS) : [await getCurrentUser()]
+    timer.lap(`Resolved ${users.length} user(s)`)
+
+    const reports = []
+
+    for (const user of users) {
+      console.log(`\nUser: ${user.name} (${user.email})`)
+
+      // 2. 생성한 이슈 조회
+      const createdIssues = await getCreatedIssues(user.id, YEAR)
+      timer.lap(`Fetched ${createdIssues.length} created issues`)
+
+      // 3. 완료한 이슈 조회
+      const completedIssues = await getCompletedIssues(user.id, YEAR)
+      timer.lap(`Fetched ${completedIssues.length} completed issues`)
+
+      // 4. 댓글 조회
+      const comments = await getComments(user.id, YEAR)
+      timer.lap(`Fetched ${comments.length} comments`)
+
+      // 5. 마크다운 생성 및 저장
+      timer.lap('Generating markdown...')
+      const markdown = generateMarkdown(user, createdIssues, completedIssues, comments, YEAR)
+      // 이름이 같은 팀원은 이메일 앞부분으로 구분
+      let outputPath = `linear-activity-${getSafeName(user)}-${YEAR}.md`
+      if (reports.some((r) => r.outputPath === outputPath)) {
+        outputPath = `linear-activity-${getSafeName(user)}-${user.email.split('@')[0]}-${YEAR}.md`
+      }
 
-    // 4. 댓글 조회
-    const comments = await getComments(user.id, YEAR)
-    timer.lap(`Fetched ${comments.length} comments`)
+      fs.writeFileSync(outputPath, markdown, 'utf8')
+      timer.lap(`Saved to: ${outputPath}`)
 
-    // 5. 마크다운 생성 및 저장
-    timer.lap('Generating markdown...')
-    const markdown = generateMarkdown(user, createdIssues, completedIssues, comments, YEAR)
+      reports.push({ user, createdIssues, completedIssues, comments, outputPath })
+    }
 
-    const safeName = user.name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '')
-    const outputPath = `linear-activity-${safeName}-${YEAR}.md`
+    // 6. 팀 요약 파일
+    if (TEAM_REPORT) {
+      const teamPath = `linear-activity-team-${YEAR}.md`
+      fs.writeFileSync(teamPath, generateTeamMarkdown(reports, YEAR), 'utf8')
+      timer.lap(`Saved team summary to: ${teamPath}`)
+    }
 
-    fs.writeFileSync(outputPath, markdown, 'utf8')
-    timer.lap(`Saved to: ${outputPath}`)
     timer.end()
   } catch (error) {
     console.error('\nError:', error.message)
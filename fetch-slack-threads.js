@@ -13,14 +13,109 @@
 
 const https = require('https')
 const fs = require('fs')
+const readline = require('readline')
+const zlib = require('zlib')
 
-const TOKEN = process.env.SLACK_TOKEN || process.argv.find((arg) => arg.startsWith('--token='))?.split('=')[1]
+// CLI 인자 파싱
+function getArg(name) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`))
+  return arg ? arg.split('=').slice(1).join('=') : undefined
+}
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`)
+}
 
-const TARGET_USER_NAME =
-  process.env.TARGET_USER_NAME || process.argv.find((arg) => arg.startsWith('--user='))?.split('=')[1]
-const YEAR = process.env.YEAR || process.argv.find((arg) => arg.startsWith('--year='))?.split('=')[1]
-const CONCURRENCY =
-  process.env.CONCURRENCY || process.argv.find((arg) => arg.startsWith('--concurrency='))?.split('=')[1] || 1
+// 여러 워크스페이스는 쉼표로 구분한 토큰 목록으로 지정
+const TOKENS = (process.env.SLACK_TOKEN || getArg('token') || '')
+  .split(',')
+  .map((t) => t.trim())
+  .filter(Boolean)
+// Enterprise Grid 조직 토큰 사용 시 조회할 워크스페이스 team_id 목록
+const TEAM_IDS = (process.env.SLACK_TEAM_IDS || getArg('team-ids') || '')
+  .split(',')
+  .map((t) => t.trim())
+  .filter(Boolean)
+
+// 오프라인 모드: 워크스페이스 Export ZIP 또는 압축을 푼 디렉터리
+const EXPORT_PATH = process.env.SLACK_EXPORT || getArg('export')
+// 링크 생성용 워크스페이스 URL (Export 모드에서는 auth.test를 호출할 수 없으므로 지정)
+const WORKSPACE_URL = process.env.SLACK_WORKSPACE_URL || getArg('workspace-url')
+
+const TARGET_USER_NAME = process.env.TARGET_USER_NAME || getArg('user')
+const TARGET_USER_ID = process.env.TARGET_USER_ID || getArg('user-id')
+const TARGET_USER_EMAIL = process.env.TARGET_USER_EMAIL || getArg('user-email')
+const YEAR = process.env.YEAR || getArg('year')
+const CONCURRENCY = process.env.CONCURRENCY || getArg('concurrency') || 1
+// 스레드 전체 컨텍스트 (부모 메시지 + 다른 참여자 답글) 조회 여부
+const THREAD_CONTEXT = process.env.THREAD_CONTEXT === 'true' || hasFlag('thread-context')
+// 내가 올린 파일 수집 여부
+const FILES = process.env.FILES === 'true' || hasFlag('files')
+// 저장한 메시지 / 내가 고정한 메시지 수집 여부
+const BOOKMARKS = process.env.BOOKMARKS === 'true' || hasFlag('bookmarks')
+// 리액션 수집 여부 및 하이라이트 개수
+const REACTIONS = process.env.REACTIONS === 'true' || hasFlag('reactions')
+const TOP_REACTIONS = parseInt(process.env.TOP_REACTIONS || getArg('top-reactions') || '10', 10)
+// 메시지 최대 길이 (0이면 전체)
+const MAX_CHARS = parseInt(process.env.MAX_CHARS || getArg('max-chars') || '500', 10)
+// 다른 참여자 답글 최대 길이 (0이면 전체)
+const REPLY_CHARS = parseInt(process.env.REPLY_CHARS || getArg('reply-chars') || '200', 10)
+// 채널 필터 (쉼표 구분, 채널 이름 또는 glob 패턴)
+const INCLUDE_CHANNELS = (process.env.INCLUDE_CHANNELS || getArg('include-channels') || '').split(',').filter(Boolean)
+const EXCLUDE_CHANNELS = (process.env.EXCLUDE_CHANNELS || getArg('exclude-channels') || '').split(',').filter(Boolean)
+// DM 처리 방식: include (상대방 이름 표시) | anonymize ("DM"으로만 표시) | exclude (제외)
+// 포함 채널을 지정하면 "이 채널만"이라는 뜻이므로 --dm을 따로 지정하지 않은 경우 DM 제외
+const DM_POLICY = process.env.DM_POLICY || getArg('dm') || (INCLUDE_CHANNELS.length > 0 ? 'exclude' : 'include')
+
+// 입력 검증
+if (
+  !(TOKENS.length > 0 || EXPORT_PATH) ||
+  !YEAR ||
+  !(TARGET_USER_NAME || TARGET_USER_ID || TARGET_USER_EMAIL) ||
+  !['include', 'anonymize', 'exclude'].includes(DM_POLICY)
+) {
+  console.error(`
+Usage: node fetch-slack-threads.js --token=<slack-user-token> --user=<name> --year=<year>
+
+Options:
+  --token             Slack User OAuth Token(s), xoxp-..., comma-separated for multiple workspaces (env: SLACK_TOKEN)
+  --team-ids          Enterprise Grid workspace team IDs for an org-level token (env: SLACK_TEAM_IDS)
+  --export            Read a workspace export ZIP or directory instead of the API (env: SLACK_EXPORT)
+  --workspace-url     Workspace URL for links in export mode, e.g. https://x.slack.com (env: SLACK_WORKSPACE_URL)
+  --user              User name to search: real name, display name or @handle (env: TARGET_USER_NAME)
+  --user-id           Slack user ID, e.g. U012ABC (env: TARGET_USER_ID)
+  --user-email        User email, requires users:read.email scope (env: TARGET_USER_EMAIL)
+  --year              Year to search (env: YEAR)
+  --concurrency       Concurrent requests (default: 1, env: CONCURRENCY)
+  --max-chars         Max characters per message, 0 for full text (default: 500, env: MAX_CHARS)
+  --thread-context    Fetch parent messages and other participants' replies (env: THREAD_CONTEXT=true)
+  --reply-chars       Max characters per reply from others, 0 for full text (default: 200, env: REPLY_CHARS)
+  --files             Include files, snippets and canvases shared (env: FILES=true)
+  --bookmarks         Add saved items and messages I pinned as a "Bookmarked" section (env: BOOKMARKS=true)
+  --reactions         Collect reactions received/given and add highlights (env: REACTIONS=true)
+  --top-reactions     Number of most-reacted messages to highlight (default: 10, env: TOP_REACTIONS)
+  --include-channels  Comma-separated channel names or globs to include (env: INCLUDE_CHANNELS)
+  --exclude-channels  Comma-separated channel names or globs to exclude (env: EXCLUDE_CHANNELS)
+  --dm                DM policy: include, anonymize or exclude (default: include, exclude with --include-channels, env: DM_POLICY)
+
+One of --user, --user-id or --user-email is required. --token is not needed with --export.
+
+Example:
+  node fetch-slack-threads.js --token=xoxp-xxx --user=Joon --year=2025
+
+  # 동명이인이 있으면 ID 또는 이메일로 지정
+  node fetch-slack-threads.js --token=xoxp-xxx --user-id=U03QCC31CHL --year=2025
+  node fetch-slack-threads.js --token=xoxp-xxx --user-email=joon@daangn.com --year=2025
+
+  # 여러 워크스페이스를 하나의 리포트로
+  node fetch-slack-threads.js --token=xoxp-aaa,xoxp-bbb --user=Joon --year=2025
+  node fetch-slack-threads.js --token=xoxp-org --team-ids=T0123,T0456 --user=Joon --year=2025
+
+  # 워크스페이스 Export로 오프라인 실행
+  node fetch-slack-threads.js --export=./export.zip --workspace-url=https://daangn.slack.com --user=Joon --year=2025
+`)
+  process.exit(1)
+}
 
 // 타이머
 const timer = {
@@ -66,10 +161,12 @@ async function runWithConcurrency(items, concurrency, fn) {
 const MAX_RETRIES = 3
 const RETRY_DELAY = 2000
 
-function slackApiOnce(method, params = {}) {
+function slackApiOnce(workspace, method, params = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(`https://slack.com/api/${method}`)
-    Object.entries(params).forEach(([key, value]) => {
+    // Enterprise Grid 조직 토큰은 team_id로 워크스페이스를 지정
+    const allParams = { team_id: workspace.teamId, ...params }
+    Object.entries(allParams).forEach(([key, value]) => {
       if (value !== undefined) url.searchParams.append(key, String(value))
     })
 
@@ -78,7 +175,7 @@ function slackApiOnce(method, params = {}) {
         url.toString(),
         {
           headers: {
-            Authorization: `Bearer ${TOKEN}`,
+            Authorization: `Bearer ${workspace.token}`,
             'Content-Type': 'application/json',
           },
           timeout: 30000, // 30초 타임아웃
@@ -108,12 +205,17 @@ function slackApiOnce(method, params = {}) {
   })
 }
 
-async function slackApi(method, params = {}, context = '') {
+async function slackApi(workspace, method, params = {}, context = '') {
+  // Export 모드에서는 네트워크를 사용하지 않는다 (호출부의 실패 처리로 대체)
+  if (EXPORT_PATH) {
+    throw new Error(`Slack API is not available in export mode (${method})`)
+  }
+
   let lastError
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      return await slackApiOnce(method, params)
+      return await slackApiOnce(workspace, method, params)
     } catch (e) {
       lastError = e
       const contextStr = context ? ` [${context}]` : ''
@@ -132,37 +234,40 @@ async function slackApi(method, params = {}, context = '') {
   throw lastError
 }
 
+// 사용자 이름 비교 (실명, 표시 이름, @handle)
+function matchUser(member, displayName) {
+  const lower = displayName.toLowerCase()
+  const names = [member.real_name, member.profile?.display_name, member.name].map((n) => n?.toLowerCase())
+
+  if (names.some((n) => n === lower)) return 'exact'
+  if (names.some((n) => n?.includes(lower))) return 'partial'
+  return null
+}
+
 // 사용자 ID 찾기
-async function findUser(displayName) {
+async function findUser(workspace, displayName) {
   console.log(`Finding user: ${displayName}...`)
   const candidates = []
   let cursor
 
   do {
-    const result = await slackApi('users.list', { limit: 200, cursor })
+    const result = await slackApi(workspace, 'users.list', { limit: 200, cursor })
 
     for (const m of result.members) {
+      workspace.userNameCache.set(m.id, m.real_name || m.name)
+
       // 삭제된 사용자, 봇 제외
       if (m.deleted || m.is_bot) continue
 
-      const lower = displayName.toLowerCase()
-      const exactMatch =
-        m.real_name?.toLowerCase() === lower ||
-        m.profile?.display_name?.toLowerCase() === lower ||
-        m.name?.toLowerCase() === lower
+      const match = matchUser(m, displayName)
 
       // 정확히 일치하면 바로 반환
-      if (exactMatch) {
+      if (match === 'exact') {
         console.log(`Found (exact): ${m.real_name} (@${m.name}, ${m.id})`)
         return m
       }
 
-      const partialMatch =
-        m.real_name?.toLowerCase().includes(lower) ||
-        m.profile?.display_name?.toLowerCase().includes(lower) ||
-        m.name?.toLowerCase().includes(lower)
-
-      if (partialMatch) {
+      if (match === 'partial') {
         candidates.push(m)
       }
     }
@@ -170,6 +275,11 @@ async function findUser(displayName) {
     cursor = result.response_metadata?.next_cursor
   } while (cursor)
 
+  return chooseUser(candidates, displayName)
+}
+
+// 부분 일치 후보 중 선택 (여러 명이면 터미널에서만 선택 가능)
+async function chooseUser(candidates, displayName) {
   if (candidates.length === 0) {
     throw new Error(`User "${displayName}" not found`)
   }
@@ -181,153 +291,1227 @@ async function findUser(displayName) {
   }
 
   // 여러 명이면 목록 출력
+  const list = candidates
+    .map((u, i) => `  ${i + 1}. ${u.real_name} (@${u.name}, ${u.id}) - ${u.profile?.title || 'No title'}`)
+    .join('\n')
+
+  // 터미널이 아니면 잘못된 사람의 리포트가 만들어지지 않도록 중단
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      `Found ${candidates.length} users matching "${displayName}":\n\n${list}\n\n` +
+        `Specify the user with --user-id=<id> or --user-email=<email>.`
+    )
+  }
+
   console.log(`\nFound ${candidates.length} users matching "${displayName}":\n`)
-  candidates.forEach((u, i) => {
-    console.log(`  ${i + 1}. ${u.real_name} (@${u.name}) - ${u.profile?.title || 'No title'}`)
-  })
-  console.log(`\nUsing first match. To specify, set TARGET_USER_ID in the script.\n`)
+  console.log(list)
 
-  const user = candidates[0]
+  const user = candidates[(await promptNumber(`\nSelect user [1-${candidates.length}]: `, candidates.length)) - 1]
   console.log(`Selected: ${user.real_name} (@${user.name}, ${user.id})`)
   return user
 }
 
+// 1 ~ max 사이 번호 입력받기
+function promptNumber(question, max) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+
+  return new Promise((resolve, reject) => {
+    let answered = false
+    // 답을 받기 전에 입력이 끝나면(파이프 입력, Ctrl-D) 에러로 종료
+    rl.on('close', () => {
+      if (!answered) reject(new Error('No selection made (input closed)'))
+    })
+
+    const ask = () => {
+      rl.question(question, (answer) => {
+        const n = parseInt(answer.trim(), 10)
+        if (n >= 1 && n <= max) {
+          answered = true
+          rl.close()
+          resolve(n)
+        } else {
+          console.log(`Please enter a number between 1 and ${max}.`)
+          ask()
+        }
+      })
+    }
+    ask()
+  })
+}
+
+// 이메일로 사용자 조회
+async function findUserByEmail(workspace, email) {
+  console.log(`Finding user by email: ${email}...`)
+  try {
+    const result = await slackApi(workspace, 'users.lookupByEmail', { email }, 'lookup by email')
+    console.log(`Found: ${result.user.real_name} (@${result.user.name}, ${result.user.id})`)
+    return result.user
+  } catch (e) {
+    throw new Error(`User email "${email}" not found (${e.message})`)
+  }
+}
+
+// ID 또는 이메일로 사용자 조회, 없으면 이름으로 검색
+// firstUser: 첫 워크스페이스에서 찾은 사용자 (다른 워크스페이스에는 같은 ID가 없으므로 이 사용자의 이메일로 조회)
+async function resolveUser(workspace, firstUser) {
+  if (exportData) return resolveUserFromExport()
+
+  if (TARGET_USER_ID) {
+    console.log(`Finding user by ID: ${TARGET_USER_ID}...`)
+    try {
+      const result = await slackApi(workspace, 'users.info', { user: TARGET_USER_ID }, 'user info')
+      console.log(`Found: ${result.user.real_name} (@${result.user.name}, ${result.user.id})`)
+      return result.user
+    } catch (e) {
+      if (!firstUser) throw new Error(`User ID "${TARGET_USER_ID}" not found (${e.message})`)
+      const email = firstUser.profile?.email
+      if (!email) {
+        throw new Error(
+          `User ID "${TARGET_USER_ID}" not found in this workspace and the user's email is not visible (users:read.email). Use --user-email instead`
+        )
+      }
+      return findUserByEmail(workspace, email)
+    }
+  }
+
+  if (TARGET_USER_EMAIL) return findUserByEmail(workspace, TARGET_USER_EMAIL)
+
+  return findUser(workspace, TARGET_USER_NAME)
+}
+
+// 워크스페이스 (토큰, URL, 워크스페이스별 이름 캐시)
+// 같은 채널 이름/ID가 다른 워크스페이스에 있어도 섞이지 않도록 캐시를 워크스페이스마다 분리
+// API 호출, 캐시, 링크 생성 함수는 모두 첫 인자로 워크스페이스를 받는다
+function createWorkspace(token, teamId) {
+  return {
+    token,
+    teamId,
+    url: '',
+    name: '',
+    channelCache: new Map(), // 채널 ID -> 이름
+    userNameCache: new Map(), // 사용자 ID -> 이름
+    dmUserCache: new Map(), // DM 채널 ID -> 상대방 이름
+    knownDMChannels: new Set(), // 검색 시 확인한 DM 채널 ID
+  }
+}
+
+// 실행할 워크스페이스 목록: 토큰마다 하나, team_id가 있으면 토큰 x team_id 조합
+function createWorkspaces() {
+  if (EXPORT_PATH) return [createWorkspace()]
+  if (TEAM_IDS.length === 0) return TOKENS.map((token) => createWorkspace(token))
+  return TOKENS.flatMap((token) => TEAM_IDS.map((teamId) => createWorkspace(token, teamId)))
+}
+
 // 워크스페이스 URL 가져오기
-let workspaceUrl = ''
+async function getWorkspaceUrl(workspace) {
+  if (workspace.url) return workspace.url
+
+  if (EXPORT_PATH) {
+    workspace.url = WORKSPACE_URL?.replace(/\/$/, '') || 'https://slack.com'
+  } else if (workspace.teamId) {
+    // Enterprise Grid: 조직 토큰의 auth.test는 조직 URL을 주므로 team.info로 워크스페이스 도메인 조회
+    const result = await slackApi(workspace, 'team.info', { team: workspace.teamId }, 'team info')
+    workspace.name = result.team?.name || workspace.teamId
+    workspace.url = result.team?.url?.replace(/\/$/, '') || `https://${result.team?.domain}.slack.com`
+  } else {
+    const result = await slackApi(workspace, 'auth.test')
+    workspace.name = result.team || ''
+    workspace.url = result.url?.replace(/\/$/, '') || 'https://slack.com'
+  }
 
-async function getWorkspaceUrl() {
-  if (workspaceUrl) return workspaceUrl
-  const result = await slackApi('auth.test')
-  workspaceUrl = result.url?.replace(/\/$/, '') || 'https://slack.com'
-  console.log(`Workspace: ${workspaceUrl}`)
-  return workspaceUrl
+  console.log(`Workspace: ${workspace.url}`)
+  return workspace.url
 }
 
 // Slack 링크 생성
-function getChannelLink(channelId, channelName) {
-  return `[#${channelName}](${workspaceUrl}/archives/${channelId})`
+function getChannelLink(workspace, channelId, channelName) {
+  return `[#${channelName}](${workspace.url}/archives/${channelId})`
 }
 
-function getThreadLink(channelId, threadTs, text = '스레드') {
+function getThreadLink(workspace, channelId, threadTs, text = '스레드') {
   // thread_ts: 1234567890.123456 -> p1234567890123456
   const tsForUrl = 'p' + threadTs.replace('.', '')
-  return `[${text}](${workspaceUrl}/archives/${channelId}/${tsForUrl})`
+  return `[${text}](${workspace.url}/archives/${channelId}/${tsForUrl})`
 }
 
 // 채널 ID -> 이름 매핑 캐시
-const channelCache = new Map()
 
-function cacheChannelName(channelId, channelName) {
-  if (channelId && channelName && !channelCache.has(channelId)) {
-    channelCache.set(channelId, channelName)
+function cacheChannelName(workspace, channelId, channelName) {
+  if (channelId && channelName && !workspace.channelCache.has(channelId)) {
+    workspace.channelCache.set(channelId, channelName)
   }
 }
 
-function getChannelNameFromCache(channelId) {
-  return channelCache.get(channelId) || channelId
+function getChannelNameFromCache(workspace, channelId) {
+  return workspace.channelCache.get(channelId) || channelId
+}
+
+// 채널 필터: 이름 또는 glob 패턴 (*, ?), 앞의 #은 무시, 대소문자 구분 없음
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .trim()
+    .replace(/^#/, '')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${escaped}$`, 'i')
+}
+
+const includeChannelPatterns = INCLUDE_CHANNELS.map(globToRegExp)
+const excludeChannelPatterns = EXCLUDE_CHANNELS.map(globToRegExp)
+
+// DM (1:1 "D..." 또는 그룹 DM "mpdm-...") 여부
+// 익명화하면 이름으로 구분할 수 없으므로 검색 시 확인한 DM 채널 ID(knownDMChannels)도 확인
+function isDMChannel(workspace, channelId, channelName) {
+  return Boolean(
+    channelId?.startsWith('D') || channelName?.startsWith('mpdm-') || workspace.knownDMChannels.has(channelId)
+  )
+}
+
+// --dm=anonymize로 상대방을 숨겨야 하는 DM
+function isAnonymizedDM(workspace, channelId, channelName) {
+  return DM_POLICY === 'anonymize' && isDMChannel(workspace, channelId, channelName)
+}
+
+// 채널 필터 + DM 정책 적용 (DM은 DM 정책만 따른다, 채널 이름이 없으면 캐시에서)
+function isChannelAllowed(workspace, channelId, channelName = workspace.channelCache.get(channelId)) {
+  if (isDMChannel(workspace, channelId, channelName)) return DM_POLICY !== 'exclude'
+  if (includeChannelPatterns.length > 0 && !includeChannelPatterns.some((re) => re.test(channelName || ''))) {
+    return false
+  }
+  return !excludeChannelPatterns.some((re) => re.test(channelName || ''))
+}
+
+// 검색 쿼리에서 바로 걸러낼 수 있는 조건 (glob이 아닌 채널 이름만 가능)
+function getChannelQueryModifiers() {
+  const isExact = (pattern) => !/[*?]/.test(pattern)
+  const modifiers = EXCLUDE_CHANNELS.filter(isExact).map((name) => `-in:#${name.trim().replace(/^#/, '')}`)
+  // 여러 개의 in:은 AND로 처리되므로 포함 채널이 하나일 때만 사용
+  if (INCLUDE_CHANNELS.length === 1 && isExact(INCLUDE_CHANNELS[0])) {
+    modifiers.push(`in:#${INCLUDE_CHANNELS[0].trim().replace(/^#/, '')}`)
+  }
+  return modifiers
+}
+
+// 검색 결과에 채널 필터 적용
+function filterMessagesByChannel(workspace, messages) {
+  const filtered = messages.filter((msg) => isChannelAllowed(workspace, msg.channel?.id, msg.channel?.name))
+  if (filtered.length < messages.length) {
+    console.log(`Filtered out ${messages.length - filtered.length} messages by channel/DM filters`)
+  }
+  return filtered
+}
+
+// 사용자 ID -> 이름 캐시
+
+async function fetchUserName(workspace, userId) {
+  if (workspace.userNameCache.has(userId)) {
+    return workspace.userNameCache.get(userId)
+  }
+
+  try {
+    const result = await slackApi(workspace, 'users.info', { user: userId }, 'user info')
+    const name = result.user?.real_name || result.user?.name || userId
+    workspace.userNameCache.set(userId, name)
+    return name
+  } catch {
+    // 권한 없음 등의 오류
+  }
+
+  workspace.userNameCache.set(userId, userId)
+  return userId
 }
 
 // DM 사용자 ID 캐시
-const dmUserCache = new Map()
 
-async function fetchDMUserName(channelId) {
-  if (dmUserCache.has(channelId)) {
-    return dmUserCache.get(channelId)
+async function fetchDMUserName(workspace, channelId) {
+  if (workspace.dmUserCache.has(channelId)) {
+    return workspace.dmUserCache.get(channelId)
   }
 
   try {
     // conversations.info로 DM 상대방 user ID 가져오기
-    const result = await slackApi('conversations.info', { channel: channelId }, 'DM info')
+    const result = await slackApi(workspace, 'conversations.info', { channel: channelId }, 'DM info')
     const userId = result.channel?.user
     if (userId) {
       // users.info로 사용자 이름 가져오기
-      const userResult = await slackApi('users.info', { user: userId }, 'user info')
-      const name = userResult.user?.real_name || userResult.user?.name || userId
-      dmUserCache.set(channelId, name)
+      const name = await fetchUserName(workspace, userId)
+      workspace.dmUserCache.set(channelId, name)
       return name
     }
   } catch {
     // 권한 없음 등의 오류
   }
 
-  dmUserCache.set(channelId, null)
+  workspace.dmUserCache.set(channelId, null)
   return null
 }
 
-// 단일 월 검색
-async function searchMessagesForMonth(userName, year, month) {
-  const messages = []
+// 텍스트 자르기 (max가 0이면 전체)
+function truncate(text, max) {
+  if (!text || !max || text.length <= max) return text
+  let cut = `${text.substring(0, max)}...`
+  // 코드 블록 중간에서 잘렸으면 닫아주기
+  if ((cut.match(/```/g) || []).length % 2 === 1) cut += '\n```'
+  return cut
+}
+
+// 자주 쓰는 이모지 shortcode -> unicode
+// Slack 기본 이모지 전체가 아닌 일부만 포함하므로 목록에 없는 이모지(커스텀 이모지 포함)는 formatEmoji에서 :name:으로 표시
+const EMOJI = {
+  '+1': '👍',
+  thumbsup: '👍',
+  '-1': '👎',
+  thumbsdown: '👎',
+  ok_hand: '👌',
+  clap: '👏',
+  pray: '🙏',
+  raised_hands: '🙌',
+  muscle: '💪',
+  wave: '👋',
+  point_up: '☝️',
+  point_right: '👉',
+  eyes: '👀',
+  smile: '😄',
+  smiley: '😃',
+  grinning: '😀',
+  laughing: '😆',
+  joy: '😂',
+  rolling_on_the_floor_laughing: '🤣',
+  sweat_smile: '😅',
+  slightly_smiling_face: '🙂',
+  upside_down_face: '🙃',
+  wink: '😉',
+  blush: '😊',
+  heart_eyes: '😍',
+  thinking_face: '🤔',
+  neutral_face: '😐',
+  expressionless: '😑',
+  sweat: '😓',
+  cry: '😢',
+  sob: '😭',
+  scream: '😱',
+  rage: '😡',
+  sunglasses: '😎',
+  hugging_face: '🤗',
+  face_with_rolling_eyes: '🙄',
+  exploding_head: '🤯',
+  partying_face: '🥳',
+  pleading_face: '🥺',
+  innocent: '😇',
+  zany_face: '🤪',
+  heart: '❤️',
+  orange_heart: '🧡',
+  yellow_heart: '💛',
+  green_heart: '💚',
+  blue_heart: '💙',
+  purple_heart: '💜',
+  broken_heart: '💔',
+  sparkling_heart: '💖',
+  fire: '🔥',
+  tada: '🎉',
+  confetti_ball: '🎊',
+  sparkles: '✨',
+  star: '⭐',
+  star2: '🌟',
+  zap: '⚡',
+  boom: '💥',
+  100: '💯',
+  rocket: '🚀',
+  bulb: '💡',
+  memo: '📝',
+  pushpin: '📌',
+  link: '🔗',
+  calendar: '📅',
+  bell: '🔔',
+  lock: '🔒',
+  key: '🔑',
+  hammer: '🔨',
+  wrench: '🔧',
+  gear: '⚙️',
+  bug: '🐛',
+  package: '📦',
+  chart_with_upwards_trend: '📈',
+  chart_with_downwards_trend: '📉',
+  bar_chart: '📊',
+  mag: '🔍',
+  hourglass: '⌛',
+  alarm_clock: '⏰',
+  coffee: '☕',
+  beer: '🍺',
+  pizza: '🍕',
+  cake: '🍰',
+  gift: '🎁',
+  trophy: '🏆',
+  medal: '🏅',
+  dart: '🎯',
+  construction: '🚧',
+  rotating_light: '🚨',
+  warning: '⚠️',
+  no_entry: '⛔',
+  x: '❌',
+  heavy_check_mark: '✔️',
+  white_check_mark: '✅',
+  ballot_box_with_check: '☑️',
+  heavy_plus_sign: '➕',
+  heavy_minus_sign: '➖',
+  question: '❓',
+  exclamation: '❗',
+  bangbang: '‼️',
+  arrow_right: '➡️',
+  arrow_left: '⬅️',
+  arrow_up: '⬆️',
+  arrow_down: '⬇️',
+  repeat: '🔁',
+  new: '🆕',
+  sos: '🆘',
+  red_circle: '🔴',
+  large_green_circle: '🟢',
+  large_yellow_circle: '🟡',
+  large_blue_circle: '🔵',
+  white_circle: '⚪',
+  black_circle: '⚫',
+  speech_balloon: '💬',
+  thought_balloon: '💭',
+  email: '📧',
+  phone: '📱',
+  computer: '💻',
+  sunny: '☀️',
+  cloud: '☁️',
+  umbrella: '☔',
+  snowflake: '❄️',
+  rainbow: '🌈',
+  seedling: '🌱',
+  four_leaf_clover: '🍀',
+  dog: '🐶',
+  cat: '🐱',
+  see_no_evil: '🙈',
+  skull: '💀',
+  ghost: '👻',
+  robot_face: '🤖',
+  alien: '👽',
+  poop: '💩',
+}
+
+// HTML 엔티티 복원 (Slack은 &, <, >만 이스케이프)
+function decodeEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+}
+
+// 익명화된 DM 본문의 사용자 멘션 표시
+const ANONYMIZED_MENTION = '@(이름 숨김)'
+
+// Slack mrkdwn -> Markdown 변환 (코드 블록 외부)
+// anonymize: 익명화된 DM이면 멘션을 이름 대신 placeholder로 표시
+function convertInline(workspace, text, anonymize) {
+  // 인라인 코드는 변환하지 않도록 분리
+  return text
+    .split(/(`[^`\n]+`)/)
+    .map((part, i) => {
+      if (i % 2 === 1) return decodeEntities(part)
+
+      let out = part.replace(/<([^<>\s]+?)(?:\|([^<>]*))?>/g, (match, target, label) => {
+        if (target.startsWith('@')) {
+          if (anonymize) return ANONYMIZED_MENTION
+          const userId = target.slice(1)
+          return `@${label || workspace.userNameCache.get(userId) || userId}`
+        }
+        if (target.startsWith('#')) {
+          const channelId = target.slice(1)
+          const name = label || getChannelNameFromCache(workspace, channelId)
+          return getChannelLink(workspace, channelId, name)
+        }
+        if (target.startsWith('!')) {
+          // <!here>, <!channel>, <!subteam^S123|@team>, <!date^...|fallback>
+          if (label) return label
+          return `@${target.slice(1).split('^')[0]}`
+        }
+        const url = decodeEntities(target)
+        if (url.startsWith('mailto:')) return label || url.slice('mailto:'.length)
+        return label ? `[${decodeEntities(label)}](${url})` : url
+      })
+
+      out = decodeEntities(out)
+        // *bold* -> **bold**, ~strike~ -> ~~strike~~
+        .replace(/(^|[\s(])\*([^*\n]+)\*(?=$|[\s).,!?:;])/gm, '$1**$2**')
+        .replace(/(^|[\s(])~([^~\n]+)~(?=$|[\s).,!?:;])/gm, '$1~~$2~~')
+        // :emoji: / :emoji::skin-tone-2:
+        .replace(/:([a-z0-9_+'-]+):(?::skin-tone-\d:)?/g, (match, name) => formatEmoji(name))
+
+      return out
+    })
+    .join('')
+}
+
+// Slack 메시지 텍스트를 Markdown으로 변환 후 자르기
+function formatSlackText(workspace, text, max, anonymize = false) {
+  if (!text) return '(no text)'
+
+  const converted = text
+    .split(/```([\s\S]*?)```/)
+    .map((part, i) => {
+      if (i % 2 === 0) return convertInline(workspace, part, anonymize)
+      // 여러 줄 코드 블록은 앞뒤 줄바꿈을 정리하고 펜스를 별도 줄에 둔다
+      const code = decodeEntities(part).replace(/^\n+|\n+$/g, '')
+      return `\n\`\`\`\n${code}\n\`\`\`\n`
+    })
+    .join('')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+  return truncate(converted, max)
+}
+
+// 여러 줄 텍스트의 각 줄 앞에 prefix 붙이기 (빈 줄은 공백 없이)
+function prefixLines(text, prefix) {
+  return text
+    .split('\n')
+    .map((line, i) => (i === 0 ? line : line ? `${prefix}${line}` : prefix.trimEnd()))
+    .join('\n')
+}
+
+// 메시지에서 멘션된 사용자 ID 추출
+function extractMentionedUserIds(text) {
+  return [...(text || '').matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map((m) => m[1])
+}
+
+// 마크다운 생성 전에 멘션된 사용자 이름을 미리 조회 (익명화된 DM은 이름을 표시하지 않으므로 제외)
+async function resolveMentionedUsers(workspace, threads) {
+  const userIds = new Set()
+  for (const thread of threads) {
+    if (isAnonymizedDM(workspace, thread.channelId, thread.channelName)) continue
+    const texts = [
+      thread.parentText,
+      ...thread.userMessages.map((m) => m.text),
+      ...(thread.otherReplies || []).map((r) => r.text),
+    ]
+    texts.forEach((text) => extractMentionedUserIds(text).forEach((id) => userIds.add(id)))
+  }
+
+  const unresolved = [...userIds].filter((id) => !workspace.userNameCache.has(id))
+  if (unresolved.length === 0) return
+
+  timer.lap(`Resolving ${unresolved.length} mentioned users...`)
+  let fetched = 0
+  await runWithConcurrency(unresolved, CONCURRENCY, async (userId) => {
+    await fetchUserName(workspace, userId)
+    fetched++
+    process.stdout.write(`\rResolving users: ${fetched}/${unresolved.length}`)
+  })
+  console.log('')
+}
+
+// 스레드 전체 메시지 조회 (부모 메시지 포함)
+async function fetchThreadReplies(workspace, channelId, threadTs) {
+  if (exportData) return getExportThreadReplies(channelId, threadTs)
+
+  const replies = []
+  let cursor
+
+  do {
+    const result = await slackApi(
+      workspace,
+      'conversations.replies',
+      { channel: channelId, ts: threadTs, limit: 200, cursor },
+      `replies ${channelId}/${threadTs}`
+    )
+    replies.push(...(result.messages || []))
+    cursor = result.response_metadata?.next_cursor
+  } while (cursor)
+
+  return replies
+}
+
+// 스레드에 부모 메시지와 다른 참여자 답글 채우기
+async function attachThreadContext(workspace, threads, userId) {
+  const targets = threads.filter((t) => t.channelId && t.threadTs)
+  timer.lap(`Fetching context for ${targets.length} threads...`)
+
+  let fetched = 0
+  let failed = 0
+
+  await runWithConcurrency(targets, CONCURRENCY, async (thread) => {
+    try {
+      const replies = await fetchThreadReplies(workspace, thread.channelId, thread.threadTs)
+      const parent = replies.find((m) => m.ts === thread.threadTs)
+
+      // DM 익명화 시 상대방 이름을 노출하지 않는다
+      const anonymize = isAnonymizedDM(workspace, thread.channelId, thread.channelName)
+      const getName = async (reply) => {
+        if (anonymize) return 'DM 상대방'
+        return reply.user ? fetchUserName(workspace, reply.user) : reply.username || reply.bot_profile?.name || '?'
+      }
+
+      if (parent) {
+        thread.parentText = parent.text || thread.parentText
+        if (parent.user !== userId) {
+          thread.parentUserName = await getName(parent)
+        }
+      }
+
+      thread.otherReplies = []
+      for (const reply of replies) {
+        // 검색 결과에 없던 내 메시지의 리액션은 여기서 채운다
+        const mine = thread.userMessages.find((m) => m.ts === reply.ts)
+        if (mine && mine.reactions === undefined) mine.reactions = reply.reactions || []
+
+        if (reply.ts === thread.threadTs || reply.user === userId) continue
+        thread.otherReplies.push({
+          ts: reply.ts,
+          userName: await getName(reply),
+          text: reply.text,
+          date: new Date(parseFloat(reply.ts) * 1000),
+        })
+      }
+    } catch {
+      // 권한 없음 (channels:history 등) 또는 삭제된 스레드
+      failed++
+    }
+    fetched++
+    process.stdout.write(`\rFetching thread context: ${fetched}/${targets.length}`)
+  })
+  console.log('')
+
+  if (failed > 0) {
+    console.log(`⚠️  Failed to fetch context for ${failed} threads (check *:history scopes)`)
+  }
+}
+
+// 메시지 본문의 :name:과 리액션 이름 -> 이모지 (skin tone 제거, 목록에 없으면 :name:)
+function formatEmoji(name) {
+  const base = name.split('::')[0]
+  return EMOJI[base] || `:${base}:`
+}
+
+// 내가 남긴 리액션을 제외한 리액션 목록 (나만 남긴 리액션은 제외)
+function excludeOwnReactions(reactions, userId) {
+  return (reactions || [])
+    .map((r) => ({ ...r, count: r.count - (r.users?.includes(userId) ? 1 : 0) }))
+    .filter((r) => r.count > 0)
+}
+
+// 리액션 수 합계
+function countReactions(reactions) {
+  return reactions.reduce((sum, r) => sum + r.count, 0)
+}
+
+// 내 메시지에 달린 리액션 채우기 (검색 결과 -> 스레드 답글 -> reactions.get 순)
+async function attachReactions(workspace, threads, userId) {
+  const pending = []
+  for (const thread of threads) {
+    for (const msg of thread.userMessages) {
+      if (msg.reactions === undefined) pending.push({ channelId: thread.channelId, msg })
+    }
+  }
+
+  if (pending.length > 0) {
+    timer.lap(`Fetching reactions for ${pending.length} messages...`)
+    let fetched = 0
+    let failed = 0
+
+    await runWithConcurrency(pending, CONCURRENCY, async ({ channelId, msg }) => {
+      try {
+        const result = await slackApi(
+          workspace,
+          'reactions.get',
+          { channel: channelId, timestamp: msg.ts, full: true },
+          `reactions ${channelId}/${msg.ts}`
+        )
+        msg.reactions = result.message?.reactions || []
+      } catch {
+        // 권한 없음 (reactions:read) 또는 삭제된 메시지
+        msg.reactions = []
+        failed++
+      }
+      fetched++
+      process.stdout.write(`\rFetching reactions: ${fetched}/${pending.length}`)
+    })
+    console.log('')
+
+    if (failed > 0) {
+      console.log(`⚠️  Failed to fetch reactions for ${failed} messages (check reactions:read scope)`)
+    }
+  }
+
+  for (const thread of threads) {
+    for (const msg of thread.userMessages) {
+      msg.receivedReactions = excludeOwnReactions(msg.reactions, userId)
+      msg.reactionCount = countReactions(msg.receivedReactions)
+    }
+  }
+}
+
+// 내가 남긴 리액션 조회 (reactions.list는 리액션 시각을 주지 않으므로 메시지 시각 기준)
+async function fetchReactionsGiven(workspace, userId, year) {
+  if (exportData) return getExportReactionsGiven(workspace, userId)
+
+  timer.lap('Fetching reactions given...')
+  const given = []
+  let cursor
+  let page = 0
+
+  do {
+    const result = await slackApi(
+      workspace,
+      'reactions.list',
+      { user: userId, limit: 100, full: true, cursor },
+      `reactions.list page ${++page}`
+    )
+
+    for (const item of result.items || []) {
+      if (item.type !== 'message' || !item.message?.ts) continue
+      if (!isChannelAllowed(workspace, item.channel)) continue
+      const date = new Date(parseFloat(item.message.ts) * 1000)
+      if (date.getFullYear() !== parseInt(year, 10)) continue
+
+      for (const reaction of item.message.reactions || []) {
+        if (!reaction.users?.includes(userId)) continue
+        given.push({ channelId: item.channel, ts: item.message.ts, name: reaction.name, date })
+      }
+    }
+
+    cursor = result.response_metadata?.next_cursor
+    process.stdout.write(`\rFetched ${given.length} reactions given (page ${page})`)
+  } while (cursor)
+
+  console.log('')
+  return given
+}
+
+// 채널 이름 조회 (검색 결과에 없던 채널, conversations.info 사용)
+async function resolveChannelNames(workspace, channelIds) {
+  const unknown = [...new Set(channelIds)].filter((id) => id && !workspace.channelCache.has(id))
+  if (unknown.length === 0) return
+
+  timer.lap(`Resolving ${unknown.length} channel names...`)
+  let fetched = 0
+
+  await runWithConcurrency(unknown, CONCURRENCY, async (channelId) => {
+    try {
+      const result = await slackApi(workspace, 'conversations.info', { channel: channelId }, 'channel info')
+      const channel = result.channel || {}
+      const isDM = channel.is_im || channel.is_mpim || isDMChannel(workspace, channelId, channel.name)
+      if (isDM) workspace.knownDMChannels.add(channelId)
+
+      if (isDM && DM_POLICY === 'anonymize') {
+        cacheChannelName(workspace, channelId, 'DM')
+      } else if (channel.is_im) {
+        const userName = await fetchDMUserName(workspace, channelId)
+        cacheChannelName(workspace, channelId, `DM: ${userName || channelId}`)
+      } else {
+        cacheChannelName(workspace, channelId, channel.name || channelId)
+      }
+    } catch {
+      // 권한 없음 (channels:read 등) - 채널 ID로 표시
+      cacheChannelName(workspace, channelId, isAnonymizedDM(workspace, channelId) ? 'DM' : channelId)
+    }
+    fetched++
+    process.stdout.write(`\rResolving channels: ${fetched}/${unknown.length}`)
+  })
+  console.log('')
+}
+
+// 내가 올린 파일 조회 (스니펫, 이미지, 캔버스 등 전체 타입)
+async function fetchUserFiles(workspace, userId, year) {
+  if (exportData) return getExportFiles(workspace, userId)
+
+  timer.lap('Fetching files...')
+  const files = []
   let page = 1
   let totalPages = 1
 
-  const startDate = `${year}-${String(month).padStart(2, '0')}-01`
-  const endMonth = month === 12 ? 1 : month + 1
-  const endYear = month === 12 ? year + 1 : year
-  const endDate = `${endYear}-${String(endMonth).padStart(2, '0')}-01`
+  const tsFrom = Math.floor(new Date(parseInt(year, 10), 0, 1).getTime() / 1000)
+  const tsTo = Math.floor(new Date(parseInt(year, 10) + 1, 0, 1).getTime() / 1000)
+
+  do {
+    const result = await slackApi(
+      workspace,
+      'files.list',
+      { user: userId, ts_from: tsFrom, ts_to: tsTo, count: 100, page },
+      `files.list page ${page}`
+    )
+    files.push(...(result.files || []))
+    totalPages = result.paging?.pages || 1
+    process.stdout.write(`\rFetched ${files.length} files (page ${page}/${totalPages})`)
+    page++
+  } while (page <= totalPages)
+  console.log('')
+
+  // 처음 공유된 채널 기준으로 배치 (공유되지 않은 파일은 채널 없음)
+  const withChannel = files.map((file) => ({
+    file,
+    channelId: [...(file.channels || []), ...(file.groups || []), ...(file.ims || [])][0] || null,
+  }))
+  const channelIds = withChannel.map((f) => f.channelId)
+  await resolveChannelNames(workspace, channelIds)
+
+  return withChannel
+    .filter(({ channelId }) => !channelId || isChannelAllowed(workspace, channelId))
+    .map(({ file, channelId }) => ({
+      id: file.id,
+      title: file.title || file.name || file.id,
+      type: file.pretty_type || file.filetype || 'file',
+      permalink: file.permalink,
+      date: new Date(file.created * 1000),
+      workspace,
+      channelId,
+      channelName: channelId ? getChannelNameFromCache(workspace, channelId) : '(공유되지 않은 파일)',
+    }))
+}
+
+// 저장한 메시지 / 고정 메시지를 공통 형태로 변환
+function toBookmark(workspace, kind, channelId, message, date) {
+  return {
+    kind,
+    workspace,
+    channelId,
+    channelName: getChannelNameFromCache(workspace, channelId),
+    ts: message.ts,
+    threadTs: message.thread_ts || message.ts,
+    text: message.text,
+    date,
+  }
+}
+
+// 내가 저장한 메시지 ("Save for later", stars.list)
+async function fetchSavedItems(workspace, year) {
+  const items = []
+  let cursor
+  let page = 0
+
+  do {
+    const result = await slackApi(workspace, 'stars.list', { limit: 100, cursor }, `stars.list page ${++page}`)
+    items.push(...(result.items || []))
+    cursor = result.response_metadata?.next_cursor
+    process.stdout.write(`\rFetched ${items.length} saved items (page ${page})`)
+  } while (cursor)
+  console.log('')
+
+  return items
+    .filter((item) => item.type === 'message' && item.message?.ts)
+    .map((item) => {
+      // 저장 시각이 없으면 메시지 작성 시각 기준
+      const date = new Date((item.date_create || parseFloat(item.message.ts)) * 1000)
+      return { channelId: item.channel, message: item.message, date }
+    })
+    .filter(({ date }) => date.getFullYear() === parseInt(year, 10))
+}
+
+// 활동한 채널에서 내가 고정한 메시지 (pins.list)
+async function fetchMyPins(workspace, channelIds, userId, year) {
+  const pins = []
+  let fetched = 0
+  let failed = 0
+
+  await runWithConcurrency(channelIds, CONCURRENCY, async (channelId) => {
+    try {
+      const result = await slackApi(workspace, 'pins.list', { channel: channelId }, `pins ${channelId}`)
+      for (const item of result.items || []) {
+        if (item.type !== 'message' || item.created_by !== userId || !item.message?.ts) continue
+        const date = new Date(item.created * 1000)
+        if (date.getFullYear() !== parseInt(year, 10)) continue
+        pins.push({ channelId, message: item.message, date })
+      }
+    } catch {
+      // 권한 없음 (pins:read) 또는 보관된 채널
+      failed++
+    }
+    fetched++
+    process.stdout.write(`\rFetching pins: ${fetched}/${channelIds.length} channels`)
+  })
+  console.log('')
+
+  if (failed > 0) {
+    console.log(`⚠️  Failed to fetch pins for ${failed} channels (check pins:read scope)`)
+  }
+  return pins
+}
+
+// 저장한 메시지 + 내가 고정한 메시지 (Bookmarked 섹션)
+async function fetchBookmarks(workspace, threads, userId, year) {
+  if (exportData) {
+    console.log('⚠️  Saved items and pins are not included in exports, skipping bookmarks')
+    return []
+  }
+
+  timer.lap('Fetching saved items and pins...')
+  const saved = await fetchSavedItems(workspace, year)
+  const channelIds = [...new Set(threads.map((t) => t.channelId).filter(Boolean))]
+  const pinned = await fetchMyPins(workspace, channelIds, userId, year)
+
+  const savedChannelIds = saved.map((item) => item.channelId)
+  await resolveChannelNames(workspace, savedChannelIds)
+
+  return [
+    ...saved.map((item) => toBookmark(workspace, 'saved', item.channelId, item.message, item.date)),
+    ...pinned.map((item) => toBookmark(workspace, 'pinned', item.channelId, item.message, item.date)),
+  ]
+    .filter((bookmark) => isChannelAllowed(workspace, bookmark.channelId))
+    .sort((a, b) => a.date - b.date)
+}
+
+// search.messages 페이징 한도 (페이지당 100개, 최대 100페이지)
+const SEARCH_PAGE_SIZE = 100
+const MAX_SEARCH_PAGES = 100
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+// 검색 결과의 채널 이름 캐시
+function cacheMatchChannels(workspace, matches) {
+  for (const msg of matches) {
+    const channelId = msg.channel?.id
+    // DM 채널 ID는 "D"로 시작
+    const isDM = isDMChannel(workspace, channelId, msg.channel?.name)
+    let channelName = msg.channel?.name
+    if (isDM) workspace.knownDMChannels.add(channelId)
+
+    if (isDM && DM_POLICY === 'anonymize') {
+      channelName = 'DM'
+    } else if (!channelName && isDM) {
+      // DM 상대방 정보 찾기: permalink에서 추출 또는 channel 정보 사용
+      const dmUser = msg.channel?.user || msg.channel?.username
+      channelName = dmUser ? `DM: ${dmUser}` : `DM: ${channelId}`
+    }
+
+    cacheChannelName(workspace, channelId, channelName || channelId)
+  }
+}
+
+// [start, end) 기간 검색. 페이징 한도를 넘으면 기간을 반으로 나눠 재귀 검색 (최소 1일)
+async function searchMessagesInRange(workspace, userName, start, end) {
+  // after:/before:는 해당 날짜를 포함하지 않으므로 하루 앞/당일로 지정
+  const afterDate = formatDate(new Date(start.getTime() - DAY_MS))
+  const beforeDate = formatDate(end)
+  const rangeLabel = `${formatDate(start)}~${formatDate(new Date(end.getTime() - DAY_MS))}`
+  const query = [`from:@${userName} after:${afterDate} before:${beforeDate}`, ...getChannelQueryModifiers()].join(' ')
 
-  const query = `from:@${userName} after:${startDate} before:${endDate}`
+  const messages = []
+  let page = 1
+  let totalPages = 1
+  let truncated = 0
 
   do {
     const result = await slackApi(
+      workspace,
       'search.messages',
       {
         query,
         sort: 'timestamp',
         sort_dir: 'asc',
-        count: 100,
+        count: SEARCH_PAGE_SIZE,
         page,
       },
-      `${month}월 page ${page}`
+      `${rangeLabel} page ${page}`
     )
 
-    const matches = result.messages?.matches || []
-    for (const msg of matches) {
-      const channelId = msg.channel?.id
-      // DM 채널 ID는 "D"로 시작
-      const isDM = channelId?.startsWith('D')
-      let channelName = msg.channel?.name
-
-      if (!channelName && isDM) {
-        // DM 상대방 정보 찾기: permalink에서 추출 또는 channel 정보 사용
-        const dmUser = msg.channel?.user || msg.channel?.username
-        channelName = dmUser ? `DM: ${dmUser}` : `DM: ${channelId}`
+    if (page === 1) {
+      const total = result.messages?.total || result.messages?.paging?.total || 0
+      const maxResults = SEARCH_PAGE_SIZE * MAX_SEARCH_PAGES
+      const days = Math.round((end - start) / DAY_MS)
+
+      if (total > maxResults) {
+        if (days > 1) {
+          const mid = new Date(start.getTime() + Math.floor(days / 2) * DAY_MS)
+          console.log(`\n↳ ${rangeLabel}: ${total} results exceed paging limit, splitting...`)
+          const first = await searchMessagesInRange(workspace, userName, start, mid)
+          const second = await searchMessagesInRange(workspace, userName, mid, end)
+          return {
+            messages: [...first.messages, ...second.messages],
+            truncated: first.truncated + second.truncated,
+          }
+        }
+        truncated = total - maxResults
       }
-
-      cacheChannelName(channelId, channelName || channelId)
     }
+
+    const matches = result.messages?.matches || []
+    cacheMatchChannels(workspace, matches)
     messages.push(...matches)
 
-    totalPages = result.messages?.paging?.pages || 1
+    totalPages = Math.min(result.messages?.paging?.pages || 1, MAX_SEARCH_PAGES)
     page++
 
     await new Promise((resolve) => setTimeout(resolve, 100))
   } while (page <= totalPages)
 
-  return messages
+  return { messages, truncated }
+}
+
+// 단일 월 검색
+async function searchMessagesForMonth(workspace, userName, year, month) {
+  const start = new Date(Date.UTC(year, month - 1, 1))
+  const end = new Date(Date.UTC(year, month, 1))
+  return searchMessagesInRange(workspace, userName, start, end)
 }
 
 // search.messages로 사용자의 메시지 검색 (월별 병렬 실행)
-async function searchUserThreadMessages(userName, year) {
+async function searchUserThreadMessages(workspace, userName, year) {
   console.log(`\nSearching messages for ${year} (concurrency: ${CONCURRENCY})...\n`)
 
   const months = Array.from({ length: 12 }, (_, i) => i + 1)
   const progress = { completed: 0, total: 12, messages: 0 }
+  let truncated = 0
 
   const results = await runWithConcurrency(months, CONCURRENCY, async (month) => {
-    const msgs = await searchMessagesForMonth(userName, year, month)
+    const result = await searchMessagesForMonth(workspace, userName, parseInt(year, 10), month)
     progress.completed++
-    progress.messages += msgs.length
+    progress.messages += result.messages.length
+    truncated += result.truncated
     process.stdout.write(`\rProgress: ${progress.completed}/12 months | ${progress.messages} messages`)
-    return msgs
+    return result.messages
   })
 
-  const messages = results.flat().sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+  // 기간 분할 시 경계에서 중복될 수 있으므로 채널 + ts 기준으로 중복 제거
+  const unique = new Map()
+  for (const msg of results.flat()) {
+    unique.set(`${msg.channel?.id}:${msg.ts}`, msg)
+  }
+
+  const messages = [...unique.values()].sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
   console.log(`\nFound ${messages.length} messages`)
+
+  if (truncated > 0) {
+    console.log(`⚠️  ${truncated} messages could not be fetched (a single day exceeded the search paging limit)`)
+  }
+
   return messages
 }
 
+// ZIP 파일 읽기 (stored / deflate만 지원, 외부 의존성 없이 central directory 파싱)
+function readZipEntries(zipPath) {
+  const buf = fs.readFileSync(zipPath)
+  const entries = new Map()
+
+  // End of Central Directory 레코드 찾기 (파일 끝에서 역방향 탐색)
+  let eocd = -1
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd < 0) throw new Error(`Invalid ZIP file: ${zipPath}`)
+
+  const entryCount = buf.readUInt16LE(eocd + 10)
+  let offset = buf.readUInt32LE(eocd + 16)
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buf.readUInt32LE(offset) !== 0x02014b50) throw new Error(`Invalid ZIP central directory: ${zipPath}`)
+
+    const method = buf.readUInt16LE(offset + 10)
+    const compressedSize = buf.readUInt32LE(offset + 20)
+    const nameLength = buf.readUInt16LE(offset + 28)
+    const extraLength = buf.readUInt16LE(offset + 30)
+    const commentLength = buf.readUInt16LE(offset + 32)
+    const localOffset = buf.readUInt32LE(offset + 42)
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength)
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported. Extract the archive and pass the directory instead.')
+    }
+
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28)
+    const data = buf.subarray(dataStart, dataStart + compressedSize)
+
+    if (method === 0) {
+      entries.set(name, data)
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data))
+    } else {
+      console.log(`⚠️  Skipping ${name}: unsupported compression method ${method}`)
+    }
+  }
+
+  return entries
+}
+
+// 디렉터리 읽기 (ZIP과 같은 형태의 경로 -> 내용 Map)
+function readDirectoryEntries(dirPath) {
+  const entries = new Map()
+
+  const walk = (dir, prefix) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = `${dir}/${entry.name}`
+      if (entry.isDirectory()) {
+        walk(fullPath, `${prefix}${entry.name}/`)
+      } else if (entry.name.endsWith('.json')) {
+        entries.set(`${prefix}${entry.name}`, fs.readFileSync(fullPath))
+      }
+    }
+  }
+  walk(dirPath, '')
+
+  return entries
+}
+
+// Slack Export 로드: users.json, channels/groups/mpims/dms.json + 채널별 일자 JSON
+function loadSlackExport(exportPath, year) {
+  console.log(`Loading Slack export: ${exportPath}...`)
+
+  if (!fs.existsSync(exportPath)) {
+    throw new Error(`Export not found: ${exportPath}`)
+  }
+  const entries = fs.statSync(exportPath).isDirectory() ? readDirectoryEntries(exportPath) : readZipEntries(exportPath)
+
+  // 압축 시 최상위 폴더가 하나 더 있는 경우 대비
+  const usersPath = [...entries.keys()].find((name) => name === 'users.json' || name.endsWith('/users.json'))
+  if (!usersPath) throw new Error('users.json not found in export')
+  const root = usersPath.slice(0, -'users.json'.length)
+
+  const readJson = (name) => {
+    const data = entries.get(`${root}${name}`)
+    return data ? JSON.parse(data.toString('utf8')) : []
+  }
+
+  const users = readJson('users.json')
+  const channels = [
+    ...readJson('channels.json').map((c) => ({ id: c.id, folder: c.name, name: c.name, isDM: false })),
+    ...readJson('groups.json').map((c) => ({ id: c.id, folder: c.name, name: c.name, isDM: false })),
+    ...readJson('mpims.json').map((c) => ({ id: c.id, folder: c.name, name: c.name, isDM: true, members: c.members })),
+    ...readJson('dms.json').map((c) => ({ id: c.id, folder: c.id, name: null, isDM: true, members: c.members })),
+  ]
+
+  // 채널별 일자 파일 (folder/YYYY-MM-DD.json) 중 해당 연도만 읽기
+  const messages = []
+  for (const channel of channels) {
+    const prefix = `${root}${channel.folder}/${year}-`
+    for (const [name, data] of entries) {
+      if (!name.startsWith(prefix) || !name.endsWith('.json')) continue
+      for (const msg of JSON.parse(data.toString('utf8'))) {
+        messages.push({ ...msg, channel: { id: channel.id, name: channel.name } })
+      }
+    }
+  }
+
+  console.log(`Loaded ${users.length} users, ${channels.length} channels, ${messages.length} messages`)
+  return { users, channels, messages }
+}
+
+// Export 데이터 (오프라인 모드에서만 사용)
+let exportData = null
+
+// Export에서 사용자 찾기 (ID -> 이메일 -> 이름 순)
+async function resolveUserFromExport() {
+  const members = exportData.users.filter((m) => !m.deleted && !m.is_bot)
+
+  if (TARGET_USER_ID) {
+    const user = exportData.users.find((m) => m.id === TARGET_USER_ID)
+    if (!user) throw new Error(`User ID "${TARGET_USER_ID}" not found in export`)
+    console.log(`Found: ${user.real_name} (@${user.name}, ${user.id})`)
+    return user
+  }
+
+  if (TARGET_USER_EMAIL) {
+    const lower = TARGET_USER_EMAIL.toLowerCase()
+    const user = exportData.users.find((m) => m.profile?.email?.toLowerCase() === lower)
+    if (!user) throw new Error(`User email "${TARGET_USER_EMAIL}" not found in export`)
+    console.log(`Found: ${user.real_name} (@${user.name}, ${user.id})`)
+    return user
+  }
+
+  console.log(`Finding user: ${TARGET_USER_NAME}...`)
+  const exact = members.find((m) => matchUser(m, TARGET_USER_NAME) === 'exact')
+  if (exact) {
+    console.log(`Found (exact): ${exact.real_name} (@${exact.name}, ${exact.id})`)
+    return exact
+  }
+  return chooseUser(
+    members.filter((m) => matchUser(m, TARGET_USER_NAME) === 'partial'),
+    TARGET_USER_NAME
+  )
+}
+
+// Export 메타데이터로 사용자/채널 이름 캐시 채우기 (API 호출 없이 이름 표시)
+function cacheExportNames(workspace, userId) {
+  for (const m of exportData.users) {
+    workspace.userNameCache.set(m.id, m.real_name || m.name)
+  }
+
+  for (const channel of exportData.channels) {
+    if (channel.isDM) workspace.knownDMChannels.add(channel.id)
+
+    if (channel.isDM && DM_POLICY === 'anonymize') {
+      cacheChannelName(workspace, channel.id, 'DM')
+    } else if (channel.id.startsWith('D')) {
+      const otherId = (channel.members || []).find((id) => id !== userId) || userId
+      const name = workspace.userNameCache.get(otherId) || otherId
+      workspace.dmUserCache.set(channel.id, name)
+      cacheChannelName(workspace, channel.id, `DM: ${name}`)
+    } else {
+      cacheChannelName(workspace, channel.id, channel.name)
+    }
+  }
+}
+
+// 검색 대상이 되는 메시지 서브타입 (입장/퇴장 등 시스템 메시지 제외)
+const EXPORT_MESSAGE_SUBTYPES = ['thread_broadcast', 'file_share', 'me_message']
+
+// Export에서 사용자 메시지 추출 (search.messages 결과와 같은 형태)
+function getExportMessages(userId) {
+  const messages = exportData.messages
+    .filter((msg) => msg.user === userId && (!msg.subtype || EXPORT_MESSAGE_SUBTYPES.includes(msg.subtype)))
+    // 검색 결과와 달리 리액션 정보가 항상 포함되어 있으므로 reactions.get을 호출하지 않도록 채워둔다
+    .map((msg) => ({ ...msg, reactions: msg.reactions || [] }))
+    .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+
+  console.log(`Found ${messages.length} messages`)
+  return messages
+}
+
+// Export에서 스레드 전체 메시지 (conversations.replies 대체)
+function getExportThreadReplies(channelId, threadTs) {
+  return exportData.messages
+    .filter((msg) => msg.channel.id === channelId && (msg.ts === threadTs || msg.thread_ts === threadTs))
+    .sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts))
+}
+
+// Export에서 내가 남긴 리액션 (reactions.list 대체)
+function getExportReactionsGiven(workspace, userId) {
+  const given = []
+  for (const msg of exportData.messages) {
+    if (!isChannelAllowed(workspace, msg.channel.id)) continue
+    for (const reaction of msg.reactions || []) {
+      if (!reaction.users?.includes(userId)) continue
+      given.push({
+        channelId: msg.channel.id,
+        ts: msg.ts,
+        name: reaction.name,
+        date: new Date(parseFloat(msg.ts) * 1000),
+      })
+    }
+  }
+  return given
+}
+
+// Export에서 내가 올린 파일 (files.list 대체, 파일이 첨부된 내 메시지 기준)
+function getExportFiles(workspace, userId) {
+  const messages = exportData.messages.filter(
+    (msg) => msg.user === userId && msg.files && isChannelAllowed(workspace, msg.channel.id)
+  )
+
+  return messages.flatMap((msg) =>
+    (msg.files || [])
+      .filter((file) => file.id && file.mode !== 'tombstone')
+      .map((file) => ({
+        id: file.id,
+        title: file.title || file.name || file.id,
+        type: file.pretty_type || file.filetype || 'file',
+        permalink: file.permalink,
+        date: new Date((file.created || parseFloat(msg.ts)) * 1000),
+        workspace,
+        channelId: msg.channel.id,
+        channelName: getChannelNameFromCache(workspace, msg.channel.id),
+      }))
+  )
+}
+
 // 메시지를 스레드 단위로 그룹화
-async function groupByThreads(messages) {
+async function groupByThreads(workspace, messages, userId) {
   timer.lap('Grouping by threads...')
 
   const threads = new Map()
@@ -339,10 +1523,11 @@ async function groupByThreads(messages) {
 
     if (!threads.has(key)) {
       threads.set(key, {
+        workspace,
         channelId,
-        channelName: getChannelNameFromCache(channelId),
+        channelName: getChannelNameFromCache(workspace, channelId),
         threadTs,
-        parentText: msg.thread_ts ? null : msg.text?.substring(0, 200),
+        parentText: msg.thread_ts ? null : msg.text,
         userMessages: [],
         isAuthor: !msg.thread_ts,
       })
@@ -351,12 +1536,13 @@ async function groupByThreads(messages) {
     const thread = threads.get(key)
     thread.userMessages.push({
       ts: msg.ts,
-      text: msg.text?.substring(0, 500) || '(no text)',
+      text: msg.text,
       date: new Date(parseFloat(msg.ts) * 1000),
+      reactions: msg.reactions,
     })
 
     if (!msg.thread_ts && !thread.parentText) {
-      thread.parentText = msg.text?.substring(0, 200)
+      thread.parentText = msg.text
     }
   }
 
@@ -365,14 +1551,14 @@ async function groupByThreads(messages) {
     ...new Set([...threads.values()].filter((t) => t.channelId?.startsWith('D')).map((t) => t.channelId)),
   ]
 
-  if (dmChannelIds.length > 0) {
+  if (dmChannelIds.length > 0 && DM_POLICY === 'include') {
     timer.lap(`Fetching ${dmChannelIds.length} DM user names...`)
     let fetched = 0
 
     await runWithConcurrency(dmChannelIds, CONCURRENCY, async (channelId) => {
-      const userName = await fetchDMUserName(channelId)
+      const userName = await fetchDMUserName(workspace, channelId)
       if (userName) {
-        channelCache.set(channelId, `DM: ${userName}`)
+        workspace.channelCache.set(channelId, `DM: ${userName}`)
       }
       fetched++
       process.stdout.write(`\rFetching DM info: ${fetched}/${dmChannelIds.length}`)
@@ -382,12 +1568,16 @@ async function groupByThreads(messages) {
     // 스레드에 채널 이름 업데이트
     for (const thread of threads.values()) {
       if (thread.channelId?.startsWith('D')) {
-        thread.channelName = getChannelNameFromCache(thread.channelId)
+        thread.channelName = getChannelNameFromCache(workspace, thread.channelId)
       }
     }
   }
 
-  timer.lap(`Grouped into ${threads.size} threads (${channelCache.size} channels)`)
+  if (THREAD_CONTEXT) {
+    await attachThreadContext(workspace, [...threads.values()], userId)
+  }
+
+  timer.lap(`Grouped into ${threads.size} threads (${workspace.channelCache.size} channels)`)
   return Array.from(threads.values())
 }
 
@@ -410,31 +1600,65 @@ function getWeekRange(year, week) {
   return `${format(weekStart)} - ${format(weekEnd)}`
 }
 
+// 리액션 요약 (예: 🎉 3 · 👍 2), 개수는 countReactions와 같이 내 리액션을 제외한 값
+function formatReactionSummary(reactions) {
+  return reactions
+    .slice()
+    .sort((a, b) => b.count - a.count)
+    .map((r) => `${formatEmoji(r.name)} ${r.count}`)
+    .join(' · ')
+}
+
 // 마크다운 생성
-function generateMarkdown(threads, userName, year) {
+// extras.reactionsGiven: 내가 남긴 리액션 목록 (--reactions 사용 시)
+// extras.files: 내가 올린 파일 목록 (--files 사용 시)
+// extras.bookmarks: 저장한 메시지와 고정한 메시지 목록 (--bookmarks 사용 시)
+function generateMarkdown(threads, userName, year, extras = {}) {
+  const { reactionsGiven, files, bookmarks } = extras
   const weeklyData = {}
 
-  for (const thread of threads) {
-    for (const msg of thread.userMessages) {
-      const week = getWeekNumber(msg.date)
-      const key = `${year}-W${week.toString().padStart(2, '0')}`
+  // 여러 워크스페이스를 합친 경우 채널에 워크스페이스 이름을 붙여 구분
+  const workspaces = [...new Set([...threads, ...(files || []), ...(bookmarks || [])].map((item) => item.workspace))]
+  const multiWorkspace = workspaces.length > 1
+  const withWorkspace = (channelName, workspace) =>
+    multiWorkspace ? `${channelName} · ${workspace.name || workspace.url}` : channelName
+
+  function ensureWeek(date) {
+    const week = getWeekNumber(date)
+    const key = `${year}-W${week.toString().padStart(2, '0')}`
+    if (!weeklyData[key]) {
+      weeklyData[key] = { week, channels: {}, reactionsReceived: 0, reactionsGiven: 0 }
+    }
+    return key
+  }
 
-      if (!weeklyData[key]) {
-        weeklyData[key] = { week, channels: {} }
-      }
+  // 같은 이름의 채널이 다른 워크스페이스에 있어도 섞이지 않도록 워크스페이스별로 구분
+  function ensureChannel(key, channelName, channelId, workspace) {
+    const channelKey = multiWorkspace ? `${workspace.name || workspace.url}/${channelName}` : channelName
+    if (!weeklyData[key].channels[channelKey]) {
+      weeklyData[key].channels[channelKey] = { channelId, channelName, workspace, threads: [], files: [] }
+    }
+    return weeklyData[key].channels[channelKey]
+  }
 
-      const channelKey = thread.channelName
-      if (!weeklyData[key].channels[channelKey]) {
-        weeklyData[key].channels[channelKey] = { channelId: thread.channelId, threads: [] }
-      }
+  for (const thread of threads) {
+    const anonymized = isAnonymizedDM(thread.workspace, thread.channelId, thread.channelName)
+    for (const msg of thread.userMessages) {
+      const key = ensureWeek(msg.date)
+      weeklyData[key].reactionsReceived += msg.reactionCount || 0
 
-      const existing = weeklyData[key].channels[channelKey].threads.find((t) => t.threadTs === thread.threadTs)
+      const channel = ensureChannel(key, thread.channelName, thread.channelId, thread.workspace)
+      const existing = channel.threads.find((t) => t.threadTs === thread.threadTs)
 
       if (!existing) {
-        weeklyData[key].channels[channelKey].threads.push({
+        channel.threads.push({
           threadTs: thread.threadTs,
           channelId: thread.channelId,
-          parentMessage: thread.parentText || '(parent message)',
+          parentMessage: thread.parentText
+            ? formatSlackText(thread.workspace, thread.parentText, MAX_CHARS, anonymized)
+            : '(parent message)',
+          parentUserName: thread.parentUserName,
+          otherReplies: thread.otherReplies,
           messages: [msg],
           isAuthor: thread.isAuthor,
         })
@@ -444,10 +1668,50 @@ function generateMarkdown(threads, userName, year) {
     }
   }
 
+  for (const reaction of reactionsGiven || []) {
+    const key = ensureWeek(reaction.date)
+    weeklyData[key].reactionsGiven++
+  }
+
+  for (const file of files || []) {
+    const key = ensureWeek(file.date)
+    ensureChannel(key, file.channelName, file.channelId, file.workspace).files.push(file)
+  }
+
   let md = `# ${userName}의 ${year}년 Slack 스레드 활동\n\n`
+  if (multiWorkspace) {
+    md += `> 워크스페이스: ${workspaces.map((w) => w.name || w.url).join(', ')}\n`
+  }
   md += `> 생성일: ${new Date().toLocaleDateString('ko-KR')}\n\n`
   md += `---\n\n`
 
+  // 저장한 메시지 / 고정한 메시지 (월별)
+  if (bookmarks && bookmarks.length > 0) {
+    md += `## Bookmarked\n\n`
+    md += `> 🔖 저장한 메시지 ${bookmarks.filter((b) => b.kind === 'saved').length}개 | `
+    md += `📌 고정한 메시지 ${bookmarks.filter((b) => b.kind === 'pinned').length}개\n\n`
+
+    let currentMonth = null
+    for (const bookmark of bookmarks) {
+      const month = bookmark.date.getMonth() + 1
+      if (month !== currentMonth) {
+        md += `${currentMonth === null ? '' : '\n'}### ${month}월\n\n`
+        currentMonth = month
+      }
+      const { workspace } = bookmark
+      const icon = bookmark.kind === 'saved' ? '🔖' : '📌'
+      const dateStr = bookmark.date.toLocaleDateString('ko-KR', { month: 'short', day: 'numeric' })
+      const anonymized = isAnonymizedDM(workspace, bookmark.channelId, bookmark.channelName)
+      const firstLine =
+        formatSlackText(workspace, bookmark.text, 0, anonymized)
+          .split('\n')
+          .find((line) => line.trim()) || ''
+      md += `- ${icon} **${dateStr}** #${withWorkspace(bookmark.channelName, bookmark.workspace)} `
+      md += `${getThreadLink(workspace, bookmark.channelId, bookmark.threadTs)}: ${truncate(firstLine, 100)}\n`
+    }
+    md += `\n---\n\n`
+  }
+
   const sortedWeeks = Object.keys(weeklyData).sort()
 
   if (sortedWeeks.length === 0) {
@@ -455,22 +1719,88 @@ function generateMarkdown(threads, userName, year) {
     return md
   }
 
+  // 요약 통계
+  const messageCount = threads.reduce((sum, t) => sum + t.userMessages.length, 0)
+  const channelSet = new Set(
+    [...threads, ...(files || [])].map((item) => withWorkspace(item.channelName, item.workspace))
+  )
+
+  md += `## 요약\n\n`
+  md += `- **메시지**: ${messageCount}개\n`
+  md += `- **스레드**: ${threads.length}개\n`
+  md += `- **활동 채널**: ${channelSet.size}개\n`
+  if (files) {
+    const typeCounts = {}
+    files.forEach((f) => (typeCounts[f.type] = (typeCounts[f.type] || 0) + 1))
+    const typeSummary = Object.entries(typeCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${type} ${count}`)
+      .join(', ')
+    md += `- **공유한 파일**: ${files.length}개${typeSummary ? ` (${typeSummary})` : ''}\n`
+  }
+  md += `- **활동 주차**: ${sortedWeeks.length}주\n\n`
+  md += `---\n\n`
+
+  // 리액션 하이라이트
+  if (reactionsGiven) {
+    const myMessages = threads.flatMap((thread) => thread.userMessages.map((msg) => ({ thread, msg })))
+    const totalReceived = myMessages.reduce((sum, { msg }) => sum + (msg.reactionCount || 0), 0)
+    const topMessages = myMessages
+      .filter(({ msg }) => msg.reactionCount > 0)
+      .sort((a, b) => b.msg.reactionCount - a.msg.reactionCount)
+      .slice(0, TOP_REACTIONS)
+
+    md += `## Highlights\n\n`
+    md += `- **받은 리액션**: ${totalReceived}개\n`
+    md += `- **남긴 리액션**: ${reactionsGiven.length}개\n\n`
+
+    if (topMessages.length > 0) {
+      md += `### 리액션을 가장 많이 받은 메시지\n\n`
+      topMessages.forEach(({ thread, msg }, i) => {
+        const { workspace } = thread
+        const dateStr = msg.date.toLocaleDateString('ko-KR', { month: 'short', day: 'numeric' })
+        const threadLink = getThreadLink(workspace, thread.channelId, thread.threadTs)
+        const firstLine =
+          formatSlackText(workspace, msg.text, 0, isAnonymizedDM(workspace, thread.channelId, thread.channelName))
+            .split('\n')
+            .find((line) => line.trim()) || ''
+        const text = truncate(firstLine, 100)
+        md += `${i + 1}. **${formatReactionSummary(msg.receivedReactions)}** (총 ${msg.reactionCount}) - `
+        md += `#${withWorkspace(thread.channelName, thread.workspace)} ${dateStr} ${threadLink}\n`
+        md += `   > ${text}\n`
+      })
+      md += '\n'
+    }
+
+    md += `---\n\n`
+  }
+
+  // 여러 주에 걸친 스레드는 다른 참여자 답글을 처음 한 번만 표시
+  const renderedContexts = new Set()
+
   for (const weekKey of sortedWeeks) {
-    const { week, channels } = weeklyData[weekKey]
+    const { week, channels, reactionsReceived, reactionsGiven: weekReactionsGiven } = weeklyData[weekKey]
     const weekRange = getWeekRange(year, week)
 
     md += `## ${weekKey} (${weekRange})\n\n`
 
-    for (const channelName of Object.keys(channels).sort()) {
-      const { channelId, threads: channelThreads } = channels[channelName]
-      const channelLink = getChannelLink(channelId, channelName)
-      md += `### ${channelLink}\n\n`
+    if (reactionsGiven) {
+      md += `> 받은 리액션: ${reactionsReceived}개 | 남긴 리액션: ${weekReactionsGiven}개\n\n`
+    }
+
+    for (const channelKey of Object.keys(channels).sort()) {
+      const { channelId, channelName, workspace, threads: channelThreads, files: channelFiles } = channels[channelKey]
+      // 익명화된 DM과 공유되지 않은 파일은 링크 없이 표시
+      const anonymized = isAnonymizedDM(workspace, channelId, channelName)
+      const channelLink = anonymized || !channelId ? channelName : getChannelLink(workspace, channelId, channelName)
+      md += `### ${withWorkspace(channelLink, workspace)}\n\n`
 
       for (const thread of channelThreads) {
         const authorBadge = thread.isAuthor ? ' `[작성자]`' : ''
-        const threadLink = getThreadLink(thread.channelId, thread.threadTs, '스레드 링크')
+        const threadLink = getThreadLink(workspace, thread.channelId, thread.threadTs, '스레드 링크')
         md += `#### 스레드${authorBadge} (${threadLink})\n`
-        md += `> ${thread.parentMessage.replace(/\n/g, '\n> ')}\n\n`
+        const parentAuthor = thread.parentUserName ? `**${thread.parentUserName}**: ` : ''
+        md += `> ${parentAuthor}${prefixLines(thread.parentMessage, '> ')}\n\n`
 
         for (const msg of thread.messages) {
           const dateStr = msg.date.toLocaleDateString('ko-KR', {
@@ -479,7 +1809,34 @@ function generateMarkdown(threads, userName, year) {
             hour: '2-digit',
             minute: '2-digit',
           })
-          md += `- **${dateStr}**: ${msg.text.replace(/\n/g, ' ')}\n`
+          const reactionStr = msg.reactionCount > 0 ? ` (${formatReactionSummary(msg.receivedReactions)})` : ''
+          md += `- **${dateStr}**${reactionStr}: ${prefixLines(formatSlackText(workspace, msg.text, MAX_CHARS, anonymized), '  ')}\n`
+        }
+        md += '\n'
+
+        const contextKey = `${thread.channelId}:${thread.threadTs}`
+        if (thread.otherReplies?.length > 0 && !renderedContexts.has(contextKey)) {
+          renderedContexts.add(contextKey)
+          md += `<details><summary>다른 참여자 답글 (${thread.otherReplies.length})</summary>\n\n`
+          const lines = thread.otherReplies.map((reply) => {
+            const dateStr = reply.date.toLocaleDateString('ko-KR', {
+              month: 'short',
+              day: 'numeric',
+              hour: '2-digit',
+              minute: '2-digit',
+            })
+            return `> **${reply.userName}** (${dateStr}): ${prefixLines(formatSlackText(workspace, reply.text, REPLY_CHARS, anonymized), '> ')}`
+          })
+          md += `${lines.join('\n>\n')}\n\n</details>\n\n`
+        }
+      }
+
+      if (channelFiles.length > 0) {
+        md += `#### 📎 공유한 파일 (${channelFiles.length})\n\n`
+        for (const file of channelFiles) {
+          const dateStr = file.date.toLocaleDateString('ko-KR', { month: 'short', day: 'numeric' })
+          const title = file.permalink ? `[${file.title}](${file.permalink})` : file.title
+          md += `- **${dateStr}**: ${title} \`${file.type}\`\n`
         }
         md += '\n'
       }
@@ -491,36 +1848,101 @@ function generateMarkdown(threads, userName, year) {
   return md
 }
 
+// 워크스페이스 하나의 활동 수집
+// seenMessages: 이미 수집한 메시지 키 (Enterprise Grid 공유 채널이 여러 워크스페이스에서 중복 검색되는 경우 대비)
+// firstUser: 첫 워크스페이스에서 찾은 사용자 (--user-id를 다른 워크스페이스에서 찾을 때 사용)
+async function fetchWorkspaceActivity(workspace, seenMessages, firstUser) {
+  // 0. 워크스페이스 정보 가져오기
+  await getWorkspaceUrl(workspace)
+  timer.lap('Workspace info fetched')
+
+  // 1. 사용자 찾기
+  const user = await resolveUser(workspace, firstUser)
+  timer.lap(`User found: ${user.name}`)
+  if (exportData) cacheExportNames(workspace, user.id)
+
+  // 2. search.messages로 스레드 메시지 검색 (Export 모드면 Export에서 추출)
+  // 검색 쿼리로 걸러낼 수 없는 glob 채널 필터는 스레드/리액션/북마크 조회 전에 여기서 적용
+  const found = filterMessagesByChannel(
+    workspace,
+    exportData ? getExportMessages(user.id) : await searchUserThreadMessages(workspace, user.name, YEAR)
+  )
+  const messages = found.filter((msg) => !seenMessages.has(`${msg.channel?.id}:${msg.ts}`))
+  messages.forEach((msg) => seenMessages.add(`${msg.channel?.id}:${msg.ts}`))
+  timer.lap(`Found ${messages.length} messages`)
+
+  const activity = { user, threads: [] }
+  if (messages.length === 0 && !FILES && !BOOKMARKS) {
+    console.log('\nNo messages found.')
+    return activity
+  }
+
+  // 3. 스레드 단위로 그룹화
+  activity.threads = await groupByThreads(workspace, messages, user.id)
+
+  // 4. 멘션된 사용자 이름 조회
+  await resolveMentionedUsers(workspace, activity.threads)
+
+  // 5. 리액션 조회
+  if (REACTIONS) {
+    await attachReactions(workspace, activity.threads, user.id)
+    activity.reactionsGiven = await fetchReactionsGiven(workspace, user.id, YEAR)
+    timer.lap(`Fetched ${activity.reactionsGiven.length} reactions given`)
+  }
+
+  // 6. 파일 조회
+  if (FILES) {
+    activity.files = await fetchUserFiles(workspace, user.id, YEAR)
+    timer.lap(`Fetched ${activity.files.length} files`)
+  }
+
+  // 7. 저장한 메시지 / 고정한 메시지 조회
+  if (BOOKMARKS) {
+    activity.bookmarks = await fetchBookmarks(workspace, activity.threads, user.id, YEAR)
+    timer.lap(`Fetched ${activity.bookmarks.length} bookmarks`)
+  }
+
+  return activity
+}
+
 // 메인
 async function main() {
   console.log('=== Slack Thread Activity Fetcher (Optimized) ===\n')
   timer.begin()
 
   try {
-    // 0. 워크스페이스 정보 가져오기
-    await getWorkspaceUrl()
-    timer.lap('Workspace info fetched')
+    if (EXPORT_PATH) {
+      exportData = loadSlackExport(EXPORT_PATH, YEAR)
+      timer.lap('Export loaded')
+    }
 
-    // 1. 사용자 찾기
-    const user = await findUser(TARGET_USER_NAME)
-    timer.lap(`User found: ${user.name}`)
+    // 워크스페이스별로 순서대로 수집 후 하나의 리포트로 합치기
+    const workspaces = createWorkspaces()
+    const seenMessages = new Set()
+    const activities = []
 
-    // 2. search.messages로 스레드 메시지 검색
-    const messages = await searchUserThreadMessages(user.name, YEAR)
-    timer.lap(`Found ${messages.length} messages`)
+    for (const [i, workspace] of workspaces.entries()) {
+      if (workspaces.length > 1) console.log(`\n--- Workspace ${i + 1}/${workspaces.length} ---`)
+      activities.push(await fetchWorkspaceActivity(workspace, seenMessages, activities[0]?.user))
+    }
 
-    if (messages.length === 0) {
-      console.log('\nNo messages found.')
+    const threads = activities.flatMap((a) => a.threads)
+    if (threads.length === 0 && !FILES && !BOOKMARKS) {
+      timer.end()
       return
     }
 
-    // 3. 스레드 단위로 그룹화
-    const threads = await groupByThreads(messages)
+    const extras = {}
+    if (REACTIONS) extras.reactionsGiven = activities.flatMap((a) => a.reactionsGiven || [])
+    if (FILES) extras.files = activities.flatMap((a) => a.files || [])
+    // 월별 묶음이 워크스페이스마다 끊기지 않도록 합친 뒤 다시 날짜순 정렬
+    if (BOOKMARKS) extras.bookmarks = activities.flatMap((a) => a.bookmarks || []).sort((a, b) => a.date - b.date)
 
-    // 4. 마크다운 생성 및 저장
+    // 8. 마크다운 생성 및 저장
     timer.lap('Generating markdown...')
-    const markdown = generateMarkdown(threads, TARGET_USER_NAME, YEAR)
-    const outputPath = `slack-threads-${TARGET_USER_NAME.toLowerCase()}-${YEAR}.md`
+    const { user } = activities[0]
+    const markdown = generateMarkdown(threads, TARGET_USER_NAME || user.real_name || user.name, YEAR, extras)
+    const outputPath = `slack-threads-${(TARGET_USER_NAME || user.name).toLowerCase()}-${YEAR}.md`
 
     fs.writeFileSync(outputPath, markdown, 'utf8')
     timer.lap(`Saved to: ${outputPath}`)
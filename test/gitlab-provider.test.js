@@ -0,0 +1,206 @@
+/**
+ * fetch-github-prs.js --provider=gitlab 테스트
+ *
+ * 로컬 http 서버로 GitLab v4 API를 흉내 내고 스크립트를 실행해 리포트를 확인
+ *
+ * 실행: node --test test/
+ */
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
+
+const SCRIPT = path.join(__dirname, '..', 'fetch-github-prs.js')
+
+function mergeRequest(iid, fields) {
+  return {
+    id: 1000 + iid,
+    iid,
+    project_id: 1,
+    title: `MR ${iid}`,
+    description: '',
+    state: 'merged',
+    labels: [],
+    author: { username: 'joon' },
+    references: { full: `my-group/app!${iid}` },
+    web_url: `http://gitlab.test/my-group/app/-/merge_requests/${iid}`,
+    closed_at: null,
+    ...fields,
+  }
+}
+
+const MERGE_REQUESTS = [
+  mergeRequest(1, {
+    title: 'feat: 로그인 개선',
+    created_at: '2025-03-03T10:00:00Z',
+    merged_at: '2025-03-05T10:00:00Z',
+  }),
+  mergeRequest(2, { title: 'fix: 빌드 수정', state: 'opened', created_at: '2025-06-10T10:00:00Z', merged_at: null }),
+  mergeRequest(3, { title: '작년 MR', created_at: '2024-05-01T10:00:00Z', merged_at: '2024-05-02T10:00:00Z' }),
+]
+
+// 다른 사람의 MR: 10은 내가 Approve, 11은 코멘트 없이 병합만 함
+const OTHERS_MERGE_REQUESTS = [
+  mergeRequest(10, {
+    title: '리뷰한 MR',
+    author: { username: 'kim' },
+    created_at: '2025-04-28T10:00:00Z',
+    merged_at: '2025-05-02T10:00:00Z',
+    merge_user: { username: 'kim' },
+  }),
+  mergeRequest(11, {
+    title: '병합한 MR',
+    author: { username: 'kim' },
+    created_at: '2025-07-01T10:00:00Z',
+    merged_at: '2025-07-03T10:00:00Z',
+    merge_user: { username: 'joon' },
+  }),
+]
+
+const NOTES = {
+  10: [
+    {
+      author: { username: 'joon' },
+      system: true,
+      body: 'approved this merge request',
+      created_at: '2025-05-01T10:00:00Z',
+    },
+  ],
+  11: [],
+}
+
+let server
+let baseUrl
+const requests = []
+const cwds = []
+
+// 요청 경로별 응답 (author 목록은 한 페이지에 하나씩 Link 헤더로 넘김)
+function handle(url) {
+  const params = url.searchParams
+
+  if (url.pathname === '/api/v4/users') {
+    return { body: params.get('search') === 'joon@example.com' ? [{ username: 'joon' }] : [] }
+  }
+
+  const notes = url.pathname.match(/^\/api\/v4\/projects\/1\/merge_requests\/(\d+)\/notes$/)
+  if (notes) {
+    return { body: NOTES[notes[1]] }
+  }
+
+  if (url.pathname === '/api/v4/groups/my-group/merge_requests') {
+    if (params.get('reviewer_username') === 'joon') return { body: [OTHERS_MERGE_REQUESTS[0]] }
+    if (params.get('state') === 'merged') return { body: [MERGE_REQUESTS[0], ...OTHERS_MERGE_REQUESTS] }
+    if (params.get('author_username') !== 'joon') return { body: [] }
+    const page = parseInt(params.get('page') || '1', 10)
+    const headers = {}
+    if (page < MERGE_REQUESTS.length) {
+      params.set('page', String(page + 1))
+      headers.link = `<${baseUrl}${url.pathname}?${params}>; rel="next"`
+    }
+    return { body: [MERGE_REQUESTS[page - 1]], headers }
+  }
+
+  return { status: 404, body: { message: '404 Not Found' } }
+}
+
+function run(args) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'gitlab-provider-'))
+  cwds.push(cwd)
+  return new Promise((resolve) => {
+    execFile('node', [SCRIPT, ...args], { cwd, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr, cwd })
+    })
+  })
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, baseUrl)
+    requests.push(url)
+    const { status = 200, body, headers = {} } = handle(url)
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+    res.end(JSON.stringify(body))
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+  server.close()
+  for (const cwd of cwds) fs.rmSync(cwd, { recursive: true, force: true })
+})
+
+test('http:// API URL의 mock 서버에서 MR을 PR 형식으로 리포트', async () => {
+  const { code, stdout, cwd } = await run([
+    '--provider=gitlab',
+    `--api-url=${baseUrl}/api/v4`,
+    '--token=test-token',
+    '--orgs=my-group',
+    '--emails=joon@example.com',
+    '--year=2025',
+  ])
+  assert.strictEqual(code, 0, stdout)
+
+  const md = fs.readFileSync(path.join(cwd, 'gitlab-prs-my-group-2025.md'), 'utf8')
+  assert.match(md, /# my-group의 2025년 GitLab PR 활동/)
+  assert.match(md, /\[#1\]\(http:\/\/gitlab\.test\/my-group\/app\/-\/merge_requests\/1\)/)
+  assert.match(md, /fix: 빌드 수정/)
+  // 해당 연도에 활동이 없는 MR 제외
+  assert.doesNotMatch(md, /작년 MR/)
+
+  // --reviews 없이도 리뷰/병합한 MR 포함
+  assert.match(md, /- \*\*리뷰한 PR\*\*: 2개 \(✅ Approved 1, 🔀 Merged 1\)/)
+  assert.match(md, /리뷰한 MR/)
+  assert.match(md, /병합한 MR/)
+
+  // Link 헤더의 다음 페이지(http://)까지 조회
+  const pages = requests.filter((url) => url.searchParams.get('author_username') === 'joon')
+  assert.strictEqual(pages.length, MERGE_REQUESTS.length)
+  assert.ok(requests.every((url) => url.pathname.startsWith('/api/v4/')))
+})
+
+test('이메일로 사용자를 못 찾으면 토큰 소유자 대신 에러', async () => {
+  const { code, stderr, cwd } = await run([
+    '--provider=gitlab',
+    `--api-url=${baseUrl}/api/v4`,
+    '--token=test-token',
+    '--orgs=my-group',
+    '--emails=private@example.com',
+    '--year=2025',
+  ])
+  assert.notStrictEqual(code, 0)
+  assert.match(stderr, /No GitLab user found for private@example\.com/)
+  assert.deepStrictEqual(fs.readdirSync(cwd), [])
+  assert.ok(!requests.some((url) => url.pathname === '/api/v4/user'))
+})
+
+test('--gitlab-username이면 이메일 검색 없이 사용', async () => {
+  const { code, stdout, cwd } = await run([
+    '--provider=gitlab',
+    `--api-url=${baseUrl}/api/v4`,
+    '--token=test-token',
+    '--orgs=my-group',
+    '--emails=private@example.com',
+    '--gitlab-username=joon',
+    '--year=2025',
+  ])
+  assert.strictEqual(code, 0, stdout)
+  assert.match(fs.readFileSync(path.join(cwd, 'gitlab-prs-my-group-2025.md'), 'utf8'), /feat: 로그인 개선/)
+})
+
+test('GitLab API 에러는 GitLab으로 표시', async () => {
+  const { code, stderr } = await run([
+    '--provider=gitlab',
+    `--api-url=${baseUrl}/api/v4`,
+    '--token=test-token',
+    '--orgs=missing-group',
+    '--emails=joon@example.com',
+    '--year=2025',
+  ])
+  assert.notStrictEqual(code, 0)
+  assert.match(stderr, /GitLab API Error \(404\)/)
+})
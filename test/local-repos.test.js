@@ -0,0 +1,156 @@
+/**
+ * fetch-github-prs.js --local-repos 테스트
+ *
+ * 임시 디렉터리에 git 레포를 만들고 스크립트를 실행해 리포트를 확인 (API 호출 없음)
+ *
+ * 실행: node --test test/
+ */
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFile, execFileSync } = require('child_process')
+
+const SCRIPT = path.join(__dirname, '..', 'fetch-github-prs.js')
+
+let root
+const cwds = []
+
+function git(dir, args, env = {}) {
+  return execFileSync('git', args, { cwd: dir, env: { ...process.env, ...env }, encoding: 'utf8' })
+}
+
+// 작성자와 시각을 고정한 커밋 (같은 입력이면 같은 sha)
+function commit(dir, email, date, message) {
+  const env = {
+    GIT_AUTHOR_NAME: 'test',
+    GIT_AUTHOR_EMAIL: email,
+    GIT_AUTHOR_DATE: date,
+    GIT_COMMITTER_NAME: 'test',
+    GIT_COMMITTER_EMAIL: email,
+    GIT_COMMITTER_DATE: date,
+  }
+  git(dir, ['commit', '-q', '--allow-empty', '-m', message], env)
+  return git(dir, ['rev-parse', 'HEAD']).trim()
+}
+
+function merge(dir, date, branch, subject, body) {
+  const env = {
+    GIT_AUTHOR_NAME: 'bot',
+    GIT_AUTHOR_EMAIL: 'bot@example.com',
+    GIT_AUTHOR_DATE: date,
+    GIT_COMMITTER_NAME: 'bot',
+    GIT_COMMITTER_EMAIL: 'bot@example.com',
+    GIT_COMMITTER_DATE: date,
+  }
+  git(dir, ['merge', '-q', '--no-ff', branch, '-m', subject, '-m', body], env)
+}
+
+// 호스트별 병합 커밋과 squash merge 커밋 메시지
+const GITHUB_MESSAGES = {
+  merge: ['Merge pull request #5 from joon/feat', 'feat(cart): add coupon'],
+  squash: 'fix: crash on empty cart (#7)',
+}
+// GitLab: #N은 이슈 번호, MR은 !N
+const GITLAB_MESSAGES = {
+  merge: [
+    "Merge branch 'feat' into 'main'",
+    'feat(cart): add coupon\n\nCloses #3\n\nSee merge request acme/backend/api!5',
+  ],
+  squash: 'fix: crash on empty cart (!7)',
+  // 이슈를 참조한 직접 푸시 커밋
+  issueRef: 'fix: typo (#12)',
+}
+
+// 병합 커밋 PR, squash merge PR, 직접 푸시한 커밋이 있는 레포
+function createRepo(name, remote, messages = GITHUB_MESSAGES) {
+  const dir = path.join(root, name)
+  fs.mkdirSync(dir)
+  git(dir, ['init', '-q', '-b', 'main'])
+  git(dir, ['config', 'commit.gpgsign', 'false'])
+  if (remote) git(dir, ['remote', 'add', 'origin', remote])
+
+  commit(dir, 'other@example.com', '2024-12-01T10:00:00Z', 'init')
+  git(dir, ['checkout', '-q', '-b', 'feat'])
+  commit(dir, 'Joon@Example.com', '2025-01-02T10:00:00Z', 'wip coupon')
+  git(dir, ['checkout', '-q', 'main'])
+  merge(dir, '2025-01-05T10:00:00Z', 'feat', ...messages.merge)
+  commit(dir, 'joon@example.com', '2025-02-10T10:00:00Z', messages.squash)
+  if (messages.issueRef) commit(dir, 'joon@example.com', '2025-02-20T10:00:00Z', messages.issueRef)
+  const direct = commit(dir, 'joon@example.com', '2025-03-01T10:00:00Z', 'hotfix directly on main')
+  commit(dir, 'other@example.com', '2025-03-02T10:00:00Z', 'someone else (#8)')
+  commit(dir, 'joon@example.com', '2026-01-02T10:00:00Z', 'next year (#10)')
+  return direct
+}
+
+function run(repos) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'local-repos-'))
+  cwds.push(cwd)
+  const args = [`--local-repos=${repos}`, '--emails=joon@example.com', '--orgs=acme', '--year=2025']
+  return new Promise((resolve) => {
+    execFile('node', [SCRIPT, ...args], { cwd, timeout: 30000 }, (error, stdout) => {
+      const file = path.join(cwd, 'github-prs-acme-2025.md')
+      resolve({ code: error ? error.code : 0, stdout, md: fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '' })
+    })
+  })
+}
+
+const shas = {}
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-repos-fixture-'))
+  shas.github = createRepo('web', 'git@github.com:acme/web.git')
+  shas.gitlab = createRepo('api', 'https://gitlab.example.com/acme/backend/api.git', GITLAB_MESSAGES)
+  shas.other = createRepo('docs', 'ssh://git@git.example.com:2222/acme/docs.git')
+  createRepo('tools')
+})
+
+after(() => {
+  for (const dir of [root, ...cwds]) fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('병합 커밋과 squash merge를 PR로, 나머지 내 커밋을 Direct commits로', async () => {
+  const { code, stdout, md } = await run(path.join(root, 'web'))
+  assert.strictEqual(code, 0, stdout)
+
+  assert.match(md, /\*\*\[#5\]\(https:\/\/github\.com\/acme\/web\/pull\/5\)\*\* .* feat\(cart\): add coupon/)
+  assert.match(md, /\*\*\[#7\]\(https:\/\/github\.com\/acme\/web\/pull\/7\)\*\* .* fix: crash on empty cart/)
+  assert.match(md, new RegExp(`\\(https://github\\.com/acme/web/commit/${shas.github}\\) hotfix directly on main`))
+  // 다른 사람의 커밋과 다음 해 커밋 제외
+  assert.doesNotMatch(md, /#8|#10/)
+})
+
+test('GitLab 리모트는 See merge request와 !N으로 MR을 찾고 merge_requests 경로로 링크', async () => {
+  const { code, stdout, md } = await run(path.join(root, 'api'))
+  assert.strictEqual(code, 0, stdout)
+
+  assert.match(md, /### acme\/backend\/api/)
+  const mr = (n) => `\\[#${n}\\]\\(https://gitlab\\.example\\.com/acme/backend/api/-/merge_requests/${n}\\)`
+  assert.match(md, new RegExp(`${mr(5)}\\*\\* .* feat\\(cart\\): add coupon\\n`))
+  assert.match(md, new RegExp(`${mr(7)}\\*\\* .* fix: crash on empty cart\\n`))
+  assert.match(md, new RegExp(`\\(https://gitlab\\.example\\.com/acme/backend/api/-/commit/${shas.gitlab}\\)`))
+  // 이슈 번호(#N)는 MR로 보지 않음
+  assert.match(md, /-\/commit\/[0-9a-f]{40}\) fix: typo \(#12\)/)
+  assert.doesNotMatch(md, /\/pull\/|merge_requests\/(3|12)|See merge request|Merge branch/)
+})
+
+test('알 수 없는 호스트나 리모트가 없는 레포는 링크 없이 표시', async () => {
+  const { code, stdout, md } = await run(`${path.join(root, 'docs')},${path.join(root, 'tools')}`)
+  assert.strictEqual(code, 0, stdout)
+
+  assert.match(md, /### acme\/docs/)
+  assert.match(md, /### tools/)
+  assert.match(md, /- \*\*#5\*\* .* feat\(cart\): add coupon/)
+  assert.match(md, new RegExp(`- \`${shas.other.slice(0, 7)}\` hotfix directly on main`))
+  assert.doesNotMatch(md, /\]\(|https?:\/\//)
+})
+
+test('같은 레포에서는 항상 같은 리포트', async () => {
+  const first = await run(root)
+  const second = await run(root)
+  assert.strictEqual(first.code, 0, first.stdout)
+  assert.match(first.md, /### acme\/web/)
+  assert.strictEqual(first.md, second.md)
+})
@@ -0,0 +1,198 @@
+/**
+ * fetch-slack-threads.js --export 테스트
+ *
+ * 임시 디렉터리에 Slack Export를 만들고(디렉터리, ZIP) 스크립트를 실행해 리포트를 확인 (API 호출 없음)
+ *
+ * 실행: node --test test/
+ */
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { execFile } = require('child_process')
+
+const SCRIPT = path.join(__dirname, '..', 'fetch-slack-threads.js')
+
+// ISO 날짜 -> Slack 메시지 타임스탬프
+const ts = (date) => `${Date.parse(date) / 1000}.000100`
+
+const ROOT_TS = ts('2025-01-03T01:00:00Z')
+const TOP_TS = ts('2025-02-10T01:00:00Z')
+
+const EXPORT = {
+  'users.json': [
+    { id: 'U1', name: 'joon', real_name: 'Joon Shin', profile: { display_name: 'Joon' } },
+    { id: 'U2', name: 'kim', real_name: 'Kim Lee', profile: { display_name: 'Kim' } },
+    { id: 'U3', name: 'lee', real_name: 'Lee Park', profile: { display_name: 'Lee' } },
+  ],
+  'channels.json': [
+    { id: 'C1', name: 'dev' },
+    { id: 'C2', name: 'random' },
+  ],
+  'dms.json': [{ id: 'D1', members: ['U1', 'U3'] }],
+  // 다른 사람이 시작한 스레드에 단 답글
+  'dev/2025-01-03.json': [
+    { type: 'message', user: 'U2', text: '배포 일정 <@U1>', ts: ROOT_TS, thread_ts: ROOT_TS },
+    {
+      type: 'message',
+      user: 'U1',
+      text: '<@U2> 금요일에 *배포* 예정입니다',
+      ts: ts('2025-01-03T02:00:00Z'),
+      thread_ts: ROOT_TS,
+    },
+    { type: 'message', user: 'U2', text: '확인했습니다', ts: ts('2025-01-03T03:00:00Z'), thread_ts: ROOT_TS },
+  ],
+  // 다른 해의 메시지는 제외
+  'dev/2024-12-31.json': [{ type: 'message', user: 'U1', text: '작년 메시지', ts: ts('2024-12-31T01:00:00Z') }],
+  // 내가 시작한 스레드
+  'random/2025-02-10.json': [
+    { type: 'message', user: 'U1', text: '점심 메뉴 추천', ts: TOP_TS, thread_ts: TOP_TS },
+    { type: 'message', user: 'U3', text: '국밥', ts: ts('2025-02-10T02:00:00Z'), thread_ts: TOP_TS },
+  ],
+  'D1/2025-03-04.json': [
+    {
+      type: 'message',
+      user: 'U1',
+      text: '<@U2>에게 물어볼게요',
+      ts: ts('2025-03-04T01:00:00Z'),
+      thread_ts: ts('2025-03-04T01:00:00Z'),
+    },
+  ],
+}
+
+let root
+const cwds = []
+
+// CRC-32 (ZIP 로컬/중앙 디렉터리 헤더용)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+function crc32(buf) {
+  let crc = 0xffffffff
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// deflate로 압축한 ZIP 파일 (files: 이름 -> Buffer)
+function writeZip(zipPath, files) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const [name, data] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, 'utf8')
+    const compressed = zlib.deflateRawSync(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(0x0800, 6) // UTF-8 파일 이름
+    local.writeUInt16LE(8, 8)
+    local.writeUInt32LE(crc32(data), 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(nameBuf.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt32LE(crc32(data), 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(nameBuf.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    locals.push(local, nameBuf, compressed)
+    centrals.push(central, nameBuf)
+    offset += local.length + nameBuf.length + compressed.length
+  }
+
+  const centralDir = Buffer.concat(centrals)
+  const eocd = Buffer.alloc(22)
+  eocd.writeUInt32LE(0x06054b50, 0)
+  eocd.writeUInt16LE(Object.keys(files).length, 8)
+  eocd.writeUInt16LE(Object.keys(files).length, 10)
+  eocd.writeUInt32LE(centralDir.length, 12)
+  eocd.writeUInt32LE(offset, 16)
+
+  fs.writeFileSync(zipPath, Buffer.concat([...locals, centralDir, eocd]))
+}
+
+function run(exportPath, args = []) {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-export-'))
+  cwds.push(cwd)
+  const allArgs = [`--export=${exportPath}`, '--user=joon', '--year=2025', ...args]
+  return new Promise((resolve) => {
+    execFile('node', [SCRIPT, ...allArgs], { cwd, timeout: 30000 }, (error, stdout, stderr) => {
+      const file = path.join(cwd, 'slack-threads-joon-2025.md')
+      const md = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : ''
+      resolve({ code: error ? error.code : 0, stdout, stderr, md })
+    })
+  })
+}
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-export-fixture-'))
+  const files = Object.fromEntries(
+    Object.entries(EXPORT).map(([name, json]) => [name, Buffer.from(JSON.stringify(json), 'utf8')])
+  )
+
+  for (const [name, data] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, 'export', name)), { recursive: true })
+    fs.writeFileSync(path.join(root, 'export', name), data)
+  }
+  // 압축할 때 최상위 폴더가 하나 더 생기는 경우
+  writeZip(
+    path.join(root, 'export.zip'),
+    Object.fromEntries(Object.entries(files).map(([name, data]) => [`Acme Slack export/${name}`, data]))
+  )
+})
+
+after(() => {
+  for (const dir of [root, ...cwds]) fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('Export 디렉터리에서 채널, 스레드 답글, 멘션을 리포트로 변환', async () => {
+  const { code, stdout, md } = await run(path.join(root, 'export'), [
+    '--thread-context',
+    '--workspace-url=https://acme.slack.com',
+  ])
+  assert.strictEqual(code, 0, stdout)
+
+  assert.match(md, /### \[#dev\]\(https:\/\/acme\.slack\.com\/archives\/C1\)/)
+  assert.match(md, /### \[#random\]\(https:\/\/acme\.slack\.com\/archives\/C2\)/)
+  assert.match(md, /### \[#DM: Lee Park\]\(https:\/\/acme\.slack\.com\/archives\/D1\)/)
+  // 스레드 원문과 다른 참여자의 답글 (멘션은 이름으로)
+  assert.match(md, /> \*\*Kim Lee\*\*: 배포 일정 @Joon Shin/)
+  assert.match(md, /: @Kim Lee 금요일에 \*\*배포\*\* 예정입니다/)
+  assert.match(md, /확인했습니다/)
+  assert.match(md, /국밥/)
+  assert.doesNotMatch(md, /작년 메시지|<@U/)
+})
+
+test('Export ZIP은 압축을 푼 디렉터리와 같은 리포트', async () => {
+  const dir = await run(path.join(root, 'export'), ['--thread-context'])
+  const zip = await run(path.join(root, 'export.zip'), ['--thread-context'])
+  assert.strictEqual(zip.code, 0, zip.stdout)
+  assert.match(zip.stdout, /Loaded 3 users, 3 channels, 6 messages/)
+  assert.strictEqual(zip.md, dir.md)
+})
+
+test('--dm=anonymize면 DM 상대방과 멘션을 가림', async () => {
+  const { code, stdout, md } = await run(path.join(root, 'export.zip'), ['--thread-context', '--dm=anonymize'])
+  assert.strictEqual(code, 0, stdout)
+
+  assert.match(md, /^### DM$/m)
+  assert.match(md, /: @\(이름 숨김\)에게 물어볼게요/)
+  assert.doesNotMatch(md, /DM: Lee Park|@Kim Lee에게/)
+  // DM이 아닌 채널의 멘션은 그대로
+  assert.match(md, /: @Kim Lee 금요일에/)
+})